@@ -1,6 +1,12 @@
 
-import React, { useState, useCallback } from 'react';
+import React, { useState, useCallback, useMemo } from 'react';
 import { GoogleGenAI, Type } from "@google/genai";
+import * as pdfjsLib from 'pdfjs-dist';
+import * as XLSX from 'xlsx';
+import MykishStore from './storage.js';
+import MykishRateSheet from './rateSheet.js';
+import MykishQuoteEngine from './quoteEngine.js';
+import MykishExtraction from './extraction.js';
 import { 
   FileText, 
   Upload, 
@@ -19,45 +25,513 @@ import {
   Table,
   Layers,
   Search,
-  CheckSquare
+  CheckSquare,
+  FileSearch,
+  X,
+  History,
+  Save,
+  Trash2,
+  GitCompare,
+  FileSpreadsheet,
+  Settings,
+  Scale
 } from 'lucide-react';
 
+pdfjsLib.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.mjs', import.meta.url).toString();
+
 // --- Types ---
 
+interface SourceRef {
+  file: string;    // stamped from the uploaded file name, never taken from the model
+  page: number;    // 1-based PDF page
+  snippet: string; // verbatim contract text the value was read from
+}
+
+// Values for a rule profile's schema extensions, keyed by field name
+type CustomValues = Record<string, string | number | boolean>;
+
+interface RatePeriod {
+  start: string; // YYYY-MM-DD, inclusive
+  end: string;   // YYYY-MM-DD, inclusive
+  rate: number;
+  basis: "per_room" | "per_person";
+  minNights?: number; // minimum stay for arrivals touching this season
+  source?: SourceRef;
+  origin?: "extracted" | "manual";
+  correctedFields?: string[];
+}
+
+interface ChildBand {
+  minAge: number;
+  maxAge: number;
+  rate: number; // per child per night, 0 = free
+}
+
+interface OccupancyRules {
+  baseOccupancy: number; // adults covered by the room rate
+  maxAdults: number;
+  maxOccupancy: number;  // adults + children
+  singleSupplement?: number;
+  extraAdultRate?: number; // third adult / extra bed, per night
+  freeChildren?: number;   // children staying free when sharing with baseOccupancy adults
+  childBands?: ChildBand[];
+}
+
 interface Room {
   type: string;
   price: number;
+  periods?: RatePeriod[];
+  occupancy?: OccupancyRules;
+  source?: SourceRef;
+  origin?: "extracted" | "manual";
+  correctedFields?: string[]; // fields a reviewer changed after extraction
+  custom?: CustomValues;
 }
 
 interface Activity {
   name: string;
   price: number;
   isIncluded: boolean;
+  childPrice?: number;
+  unit?: "per_person" | "per_person_per_night" | "per_booking";
+  category?: "transfer" | "excursion" | "supplement" | "tax";
+  source?: SourceRef;
+  origin?: "extracted" | "manual";
+  correctedFields?: string[];
+  custom?: CustomValues;
+}
+
+interface MealPlan {
+  code: "RO" | "BB" | "HB" | "FB" | "AI";
+  name: string;
+  adultRate: number;       // supplement per adult per night, 0 for the board included in the room rate
+  childBands?: ChildBand[]; // supplement per child per night by age
+  origin?: "extracted" | "manual";
+  correctedFields?: string[];
+}
+
+interface Promotion {
+  name: string;
+  type: "early_bird" | "stay_pay" | "honeymoon" | "long_stay" | "other";
+  discountPercent?: number;
+  minDaysBeforeArrival?: number; // early bird lead time
+  stayNights?: number;           // stay X ...
+  payNights?: number;            // ... pay Y
+  minNights?: number;
+  travelStart?: string;          // YYYY-MM-DD, inclusive
+  travelEnd?: string;
+  bookingEnd?: string;           // book by
+  perks?: string;
+  combinableWith?: string[];     // names of offers this one can be combined with
+  origin?: "extracted" | "manual";
+  correctedFields?: string[];
+}
+
+// Mandatory taxes, service charges, fees and dated surcharges (e.g. gala dinners). Surcharges are
+// resort costs and take markup; the other kinds pass through to the client after markup.
+interface Charge {
+  name: string;
+  kind: "tax" | "service" | "fee" | "surcharge";
+  basis: "per_person_per_night" | "per_person" | "per_room_per_night" | "per_booking" | "percent";
+  amount: number;           // money in the resort's currency, or the rate for a percent charge
+  childAmount?: number;     // per child when it differs from the adult amount
+  exemptUnderAge?: number;  // children younger than this pay nothing
+  base?: ("stay" | "board" | "extras" | "surcharges" | "service")[]; // what a percent charge is levied on
+  start?: string;           // YYYY-MM-DD, inclusive; only nights in this range are charged
+  end?: string;
+  source?: SourceRef;
+  origin?: "extracted" | "manual";
+  correctedFields?: string[];
+}
+
+interface Blackout {
+  start: string; // YYYY-MM-DD, inclusive
+  end: string;
+  reason?: string;
 }
 
 interface Resort {
   resortName: string;
   currency: string;
   locationType: "Component" | "Bundle";
+  validFrom?: string; // contract validity, YYYY-MM-DD
+  validTo?: string;
+  blackouts?: Blackout[];
   rooms: Room[];
   activities: Activity[];
+  mealPlans?: MealPlan[];
+  promotions?: Promotion[];
+  charges?: Charge[];
+  correctedFields?: string[];
+  custom?: CustomValues;
 }
 
 interface LocationData {
   name: string;
+  charges?: Charge[]; // destination-wide, e.g. Maldives Green Tax; a resort charge of the same name wins
   resorts: Resort[];
 }
 
+interface AuditEntry {
+  id: string;
+  at: string; // ISO timestamp
+  by: string;
+  action: 'update' | 'add' | 'remove';
+  target: string; // e.g. "Maldives › Ellaidhoo › Beach Villa"
+  field: string;
+  oldValue: string | number | boolean | null;
+  newValue: string | number | boolean | null;
+}
+
 interface ExtractionResult {
   locations: LocationData[];
+  audit?: AuditEntry[];
+}
+
+interface ValidationIssue {
+  level: 'error' | 'warning';
+  path: string; // e.g. locations[0].resorts[1].rooms[2].price
+  message: string;
+}
+
+interface ValidationReport {
+  issues: ValidationIssue[];
+  errorCount: number;
+  warningCount: number;
+}
+
+interface Snapshot {
+  id: string;
+  createdAt: string;
+  label: string;
+  contractSeason: string; // e.g. "2026/27"
+  validFrom: string;      // YYYY-MM-DD
+  validTo: string;
+  files: string[];
+  data: ExtractionResult;
+}
+
+interface DiffEntry {
+  change: 'added' | 'removed' | 'changed';
+  scope: 'resort' | 'room' | 'period' | 'activity' | 'charge';
+  location: string;
+  resort: string;
+  item: string;
+  before?: number;
+  after?: number;
+  currency?: string;
+  unit?: 'percent';     // percentage charges; otherwise amounts are money in `currency`
 }
 
 interface FileWithStatus {
   file: File;
   id: string;
   status: 'pending' | 'processing' | 'completed' | 'error';
+  attempts?: number;
+  error?: string;
+  profileId?: string;     // per-file override of the batch profile
+  extractedWith?: string; // profile id of the last successful extraction
+}
+
+interface CustomField {
+  name: string; // key under `custom`, e.g. "transferMode"
+  level: 'resort' | 'room' | 'activity';
+  type: 'string' | 'number' | 'boolean';
+  description: string;
+}
+
+interface RuleProfile {
+  id: string;
+  name: string;
+  destination: string; // blank = identify from the document
+  packaging: 'Bundle' | 'Component' | 'auto';
+  instructions: string;
+  customFields: CustomField[];
+  builtIn?: boolean;
+}
+
+// Exchange rates shared with the quote calculator: units per 1 USD, plus a buffer % on conversion
+interface FxSettings {
+  rates: { code: string; perUsd: number; date?: string }[];
+  buffer: number;
+}
+
+interface StayRequest {
+  checkIn: string;
+  checkOut: string;
+  adults: number;
+  childAges: string; // comma-separated ages at travel, e.g. "4, 8"
+  board: string;     // meal plan code; blank = each resort's default board
+  transfers: boolean;
+  markup: number;
+  bookingDate: string; // early-bird and book-by offers are judged against this
+  honeymoon: boolean;
 }
 
+// --- Extraction Config ---
+
+const SYSTEM_PROMPT = `You are a Senior Data Analyst. Convert the uploaded travel PDF document into a structured JSON database.
+
+EXTRACTION RULES:
+1. Location: Identify the country/location for each PDF.
+2. Resorts: Group all data by Resort Name.
+3. Packaging: Apply the packaging rule of the DESTINATION PROFILE below and set locationType to match it.
+4. Destination Profile: Follow the profile's additional instructions. Where they conflict with these general rules, the profile wins.
+5. Currency: Identify the currency for each resort (e.g., USD, EUR, AUD).
+6. Stay Logic: Ensure 'Stay' costs (rooms) are clearly identified, as these are the only items subject to discounts.
+7. Ancillary Pricing: For each activity record the charging unit (per_person, per_person_per_night or per_booking), the child price when the contract lists one separately, and a category (transfer, excursion or supplement). Mandatory taxes and fees are charges (rule 13), not activities.
+8. Seasons: Contracts list rates per season or date band. Record every band as a period with ISO start/end dates (both inclusive), the nightly rate and whether it is per room or per person. Set 'price' to the rate of the first period.
+9. Occupancy: For each room capture how many adults the rate covers, the maximum adults and maximum total guests, any single supplement, the nightly third adult / extra bed rate, how many children stay free when sharing with two adults, and child age bands with their nightly rates (0 if free).
+10. Meal Plans: Extract every board basis (RO, BB, HB, FB, AI) as a meal plan with its supplement per adult per night and per child per night by age band. The board already included in the room rate has a supplement of 0. Do not list meal plans as activities.
+11. Promotions: Extract every special offer (early bird, stay X pay Y, honeymoon, long stay) with its discount %, booking lead time in days, stay/pay nights, minimum nights, travel and booking validity dates, non-monetary perks, and the names of the other offers it can be combined with. Offers apply to room rates only.
+12. Restrictions: Record the contract validity dates, each season's minimum stay in nights, and every blackout or stop-sale period (dates and reason) during which the resort cannot be booked.
+13. Taxes & Fees: Record every mandatory charge as a resort charge: government taxes (Green Tax, GST, VAT), service charges, resort fees, and date-specific compulsory supplements such as Christmas or New Year gala dinners (kind "surcharge", with the date as start and end). Give the basis (per person per night, per person, per room per night, per booking, or percent), the adult amount or percentage, any separate child amount, the age under which children are exempt, and for percentages what they are levied on ("service" when a tax is charged on top of the service charge). List them in the order the contract applies them. Charges stated for the whole destination go on the location instead.
+14. Provenance: For every room, season period, activity and charge give the 1-based PDF page number and the verbatim text snippet (at most ~200 characters) the value was read from. Copy the snippet exactly as printed; do not paraphrase.
+15. Output: Strict JSON format matching the schema provided.`;
+
+const SOURCE_SCHEMA = {
+  type: Type.OBJECT,
+  properties: {
+    page: { type: Type.NUMBER, description: "1-based PDF page the value appears on" },
+    snippet: { type: Type.STRING, description: "Verbatim source text containing the value" }
+  },
+  required: ["page", "snippet"]
+};
+
+const CHARGE_SCHEMA = {
+  type: Type.ARRAY,
+  items: {
+    type: Type.OBJECT,
+    properties: {
+      name: { type: Type.STRING, description: "Charge name as written, e.g. Green Tax, T-GST, Gala Dinner 31 Dec" },
+      kind: { type: Type.STRING, enum: ["tax", "service", "fee", "surcharge"] },
+      basis: { type: Type.STRING, enum: ["per_person_per_night", "per_person", "per_room_per_night", "per_booking", "percent"] },
+      amount: { type: Type.NUMBER, description: "Adult amount, or the percentage for a percent charge" },
+      childAmount: { type: Type.NUMBER, description: "Child amount if listed separately" },
+      exemptUnderAge: { type: Type.NUMBER, description: "Children younger than this are exempt" },
+      base: { type: Type.ARRAY, items: { type: Type.STRING, enum: ["stay", "board", "extras", "surcharges", "service"] }, description: "What a percent charge is levied on" },
+      start: { type: Type.STRING, description: "First date charged, YYYY-MM-DD" },
+      end: { type: Type.STRING, description: "Last date charged, YYYY-MM-DD (inclusive)" },
+      source: SOURCE_SCHEMA
+    },
+    required: ["name", "kind", "basis", "amount"]
+  }
+};
+
+const RESPONSE_SCHEMA = {
+  type: Type.OBJECT,
+  properties: {
+    locations: {
+      type: Type.ARRAY,
+      items: {
+        type: Type.OBJECT,
+        properties: {
+          name: { type: Type.STRING, description: "Location Name (e.g., Maldives, Finland)" },
+          charges: CHARGE_SCHEMA,
+          resorts: {
+            type: Type.ARRAY,
+            items: {
+              type: Type.OBJECT,
+              properties: {
+                resortName: { type: Type.STRING },
+                currency: { type: Type.STRING, description: "3-letter ISO code or symbol" },
+                locationType: { type: Type.STRING, enum: ["Component", "Bundle"] },
+                rooms: {
+                  type: Type.ARRAY,
+                  items: {
+                    type: Type.OBJECT,
+                    properties: {
+                      type: { type: Type.STRING, description: "Room/Package Name" },
+                      price: { type: Type.NUMBER },
+                      source: SOURCE_SCHEMA,
+                      periods: {
+                        type: Type.ARRAY,
+                        items: {
+                          type: Type.OBJECT,
+                          properties: {
+                            start: { type: Type.STRING, description: "Season start, YYYY-MM-DD" },
+                            end: { type: Type.STRING, description: "Season end, YYYY-MM-DD (inclusive)" },
+                            rate: { type: Type.NUMBER, description: "Nightly rate" },
+                            basis: { type: Type.STRING, enum: ["per_room", "per_person"] },
+                            minNights: { type: Type.NUMBER, description: "Minimum stay in nights for this season" },
+                            source: SOURCE_SCHEMA
+                          },
+                          required: ["start", "end", "rate", "basis"]
+                        }
+                      },
+                      occupancy: {
+                        type: Type.OBJECT,
+                        properties: {
+                          baseOccupancy: { type: Type.NUMBER, description: "Adults covered by the rate" },
+                          maxAdults: { type: Type.NUMBER },
+                          maxOccupancy: { type: Type.NUMBER, description: "Maximum adults + children" },
+                          singleSupplement: { type: Type.NUMBER, description: "Nightly supplement for single occupancy" },
+                          extraAdultRate: { type: Type.NUMBER, description: "Nightly third adult / extra bed rate" },
+                          freeChildren: { type: Type.NUMBER, description: "Children staying free when sharing with two adults" },
+                          childBands: {
+                            type: Type.ARRAY,
+                            items: {
+                              type: Type.OBJECT,
+                              properties: {
+                                minAge: { type: Type.NUMBER },
+                                maxAge: { type: Type.NUMBER },
+                                rate: { type: Type.NUMBER, description: "Nightly rate per child, 0 if free" }
+                              },
+                              required: ["minAge", "maxAge", "rate"]
+                            }
+                          }
+                        },
+                        required: ["baseOccupancy", "maxAdults", "maxOccupancy"]
+                      }
+                    },
+                    required: ["type", "price"]
+                  }
+                },
+                mealPlans: {
+                  type: Type.ARRAY,
+                  items: {
+                    type: Type.OBJECT,
+                    properties: {
+                      code: { type: Type.STRING, enum: ["RO", "BB", "HB", "FB", "AI"] },
+                      name: { type: Type.STRING, description: "Meal plan name as written in the contract" },
+                      adultRate: { type: Type.NUMBER, description: "Supplement per adult per night, 0 if included in the room rate" },
+                      childBands: {
+                        type: Type.ARRAY,
+                        items: {
+                          type: Type.OBJECT,
+                          properties: {
+                            minAge: { type: Type.NUMBER },
+                            maxAge: { type: Type.NUMBER },
+                            rate: { type: Type.NUMBER, description: "Supplement per child per night" }
+                          },
+                          required: ["minAge", "maxAge", "rate"]
+                        }
+                      }
+                    },
+                    required: ["code", "name", "adultRate"]
+                  }
+                },
+                validFrom: { type: Type.STRING, description: "Contract valid from, YYYY-MM-DD" },
+                validTo: { type: Type.STRING, description: "Contract valid to, YYYY-MM-DD" },
+                blackouts: {
+                  type: Type.ARRAY,
+                  items: {
+                    type: Type.OBJECT,
+                    properties: {
+                      start: { type: Type.STRING, description: "YYYY-MM-DD" },
+                      end: { type: Type.STRING, description: "YYYY-MM-DD (inclusive)" },
+                      reason: { type: Type.STRING }
+                    },
+                    required: ["start", "end"]
+                  }
+                },
+                promotions: {
+                  type: Type.ARRAY,
+                  items: {
+                    type: Type.OBJECT,
+                    properties: {
+                      name: { type: Type.STRING },
+                      type: { type: Type.STRING, enum: ["early_bird", "stay_pay", "honeymoon", "long_stay", "other"] },
+                      discountPercent: { type: Type.NUMBER },
+                      minDaysBeforeArrival: { type: Type.NUMBER, description: "Book at least this many days before arrival" },
+                      stayNights: { type: Type.NUMBER },
+                      payNights: { type: Type.NUMBER },
+                      minNights: { type: Type.NUMBER },
+                      travelStart: { type: Type.STRING, description: "YYYY-MM-DD" },
+                      travelEnd: { type: Type.STRING, description: "YYYY-MM-DD" },
+                      bookingEnd: { type: Type.STRING, description: "Book by, YYYY-MM-DD" },
+                      perks: { type: Type.STRING, description: "Non-monetary benefits, e.g. honeymoon amenities" },
+                      combinableWith: { type: Type.ARRAY, items: { type: Type.STRING }, description: "Names of offers this one combines with" }
+                    },
+                    required: ["name", "type"]
+                  }
+                },
+                charges: CHARGE_SCHEMA,
+                activities: {
+                  type: Type.ARRAY,
+                  items: {
+                    type: Type.OBJECT,
+                    properties: {
+                      name: { type: Type.STRING, description: "Activity/Service Name" },
+                      price: { type: Type.NUMBER },
+                      isIncluded: { type: Type.BOOLEAN },
+                      childPrice: { type: Type.NUMBER, description: "Child price if listed separately" },
+                      unit: { type: Type.STRING, enum: ["per_person", "per_person_per_night", "per_booking"] },
+                      category: { type: Type.STRING, enum: ["transfer", "excursion", "supplement"] },
+                      source: SOURCE_SCHEMA
+                    },
+                    required: ["name", "price", "isIncluded"]
+                  }
+                }
+              },
+              required: ["resortName", "currency", "locationType", "rooms", "activities"]
+            }
+          }
+        },
+        required: ["name", "resorts"]
+      }
+    }
+  },
+  required: ["locations"]
+};
+
+// --- Rule Profiles ---
+
+const BUNDLE_RULE = `Room rates and activities are bundled. Extract the bundle price as the 'price' in the rooms array. List the included activities with a price of 0 and isIncluded=true. locationType is "Bundle".`;
+const COMPONENT_RULE = `Extract the room price and separate activities (like transfers, excursions, supplements) with their individual prices. isIncluded=false unless explicitly stated as part of the room rate. locationType is "Component".`;
+
+const PACKAGING_RULES: Record<RuleProfile['packaging'], string> = {
+  Bundle: BUNDLE_RULE,
+  Component: COMPONENT_RULE,
+  auto: `Decide per resort. Where room rates and activities are bundled (typical of Finland): ${BUNDLE_RULE} Otherwise (typical of the Maldives): ${COMPONENT_RULE}`
+};
+
+// Shipped with the portal and read-only; duplicate one to adapt it. 'mixed' reproduces the original two-rule prompt.
+const BUILT_IN_PROFILES: RuleProfile[] = [
+  { id: 'mixed', name: 'Finland & Maldives (auto)', destination: '', packaging: 'auto', instructions: '', customFields: [], builtIn: true },
+  { id: 'maldives', name: 'Maldives Component', destination: 'Maldives', packaging: 'Component', instructions: 'Record the Green Tax as a tax charged per person per night.', customFields: [], builtIn: true },
+  { id: 'finland', name: 'Finland Bundle', destination: 'Finland', packaging: 'Bundle', instructions: '', customFields: [], builtIn: true }
+];
+
+const DEFAULT_PROFILE_ID = 'mixed';
+
+const FIELD_TYPES = { string: Type.STRING, number: Type.NUMBER, boolean: Type.BOOLEAN };
+
+const buildPrompt = (profile: RuleProfile) => {
+  const fields = profile.customFields.map(f => `- ${f.name} (${f.type}, on each ${f.level}): ${f.description}`);
+  return [
+    SYSTEM_PROMPT,
+    '',
+    `DESTINATION PROFILE: ${profile.name}`,
+    profile.destination
+      ? `Destination: ${profile.destination}. Use it as the location name unless the document clearly names another country.`
+      : 'Destination: identify it from the document.',
+    `Packaging: ${PACKAGING_RULES[profile.packaging]}`,
+    ...(profile.instructions.trim() ? ['Additional instructions:', profile.instructions.trim()] : []),
+    ...(fields.length ? ["Custom fields: record these in the 'custom' object of the item they belong to; omit a field the contract does not state.", ...fields] : [])
+  ].join('\n');
+};
+
+// Adds the profile's custom fields as a `custom` object on resorts, rooms or activities
+const buildSchema = (profile: RuleProfile) => {
+  if (profile.customFields.length === 0) return RESPONSE_SCHEMA;
+  const schema = structuredClone(RESPONSE_SCHEMA) as any;
+  const resort = schema.properties.locations.items.properties.resorts.items;
+  const targets = { resort, room: resort.properties.rooms.items, activity: resort.properties.activities.items };
+  (Object.keys(targets) as CustomField['level'][]).forEach(level => {
+    const fields = profile.customFields.filter(f => f.level === level);
+    if (fields.length === 0) return;
+    targets[level].properties.custom = {
+      type: Type.OBJECT,
+      properties: Object.fromEntries(fields.map(f => [f.name, { type: FIELD_TYPES[f.type], description: f.description }]))
+    };
+  });
+  return schema;
+};
+
+const listProfiles = async (): Promise<RuleProfile[]> =>
+  [...BUILT_IN_PROFILES, ...(await MykishStore.getAll('ruleProfiles')).sort((a: RuleProfile, b: RuleProfile) => a.name.localeCompare(b.name))];
+
 // --- Utils ---
 
 const fileToBase64 = (file: File): Promise<string> => {
@@ -72,26 +546,1396 @@ const fileToBase64 = (file: File): Promise<string> => {
   });
 };
 
+const MAX_CONCURRENT_FILES = 3;
+const MAX_ATTEMPTS = 3;
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Exponential backoff with jitter: ~1s, ~2s, ~4s ...
+const withRetry = async <T,>(fn: () => Promise<T>, attempts: number, onAttempt?: (n: number) => void): Promise<T> => {
+  let lastError: any;
+  for (let n = 1; n <= attempts; n++) {
+    onAttempt?.(n);
+    try {
+      return await fn();
+    } catch (err) {
+      lastError = err;
+      if (n < attempts) await sleep(1000 * 2 ** (n - 1) + Math.random() * 250);
+    }
+  }
+  throw lastError;
+};
+
+const runWithConcurrency = async <T,>(items: T[], limit: number, worker: (item: T) => Promise<void>) => {
+  const queue = [...items];
+  const runners = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+    while (queue.length > 0) {
+      await worker(queue.shift() as T);
+    }
+  });
+  await Promise.all(runners);
+};
+
+// Merging, validation, fixture replay and the rate sheet parser live in extraction.js so they run under Node too
+const sameKey: (a: string, b: string) => boolean = MykishExtraction.sameKey;
+const mergeResults: (results: ExtractionResult[]) => ExtractionResult = MykishExtraction.mergeResults;
+// Re-run files are folded into reviewed data field by field; corrected fields and manual items survive
+const mergeReviewed: (reviewed: ExtractionResult, fresh: ExtractionResult[], fileNames: string[]) => ExtractionResult = MykishExtraction.mergeReviewed;
+
+// --- Snapshot Storage ---
+
+const listSnapshots = async () =>
+  ((await MykishStore.getAll('snapshots')) as Snapshot[])
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+const saveSnapshot = (snap: Snapshot) => MykishStore.put('snapshots', snap);
+const deleteSnapshot = (id: string) => MykishStore.remove('snapshots', id);
+
+// --- Contract Diff ---
+
+const pctDelta = (before?: number, after?: number) =>
+  before && after !== undefined ? ((after - before) / before) * 100 : null;
+
+// Matches items by name across two lists and reports additions, removals and value changes
+const diffByKey = <T,>(before: T[] = [], after: T[] = [], key: (item: T) => string, value: (item: T) => number,
+  emit: (change: DiffEntry['change'], item: string, b?: number, a?: number, current?: T) => void) => {
+  before.forEach(b => {
+    const match = after.find(a => sameKey(key(a), key(b)));
+    if (!match) emit('removed', key(b), value(b), undefined, b);
+    else if (value(match) !== value(b)) emit('changed', key(b), value(b), value(match), match);
+  });
+  after.filter(a => !before.some(b => sameKey(key(a), key(b)))).forEach(a => emit('added', key(a), undefined, value(a), a));
+};
+
+const chargeUnit = (c?: Charge): Pick<DiffEntry, 'unit'> => c?.basis === 'percent' ? { unit: 'percent' } : {};
+
+const diffResults = (before: ExtractionResult, after: ExtractionResult): DiffEntry[] => {
+  const entries: DiffEntry[] = [];
+  const locationNames = [...new Set([...before.locations, ...after.locations].map(l => l.name))]
+    .filter((name, i, all) => all.findIndex(n => sameKey(n, name)) === i);
+
+  locationNames.forEach(location => {
+    const locBefore = before.locations.find(l => sameKey(l.name, location));
+    const locAfter = after.locations.find(l => sameKey(l.name, location));
+    const resortsBefore = locBefore?.resorts || [];
+    const resortsAfter = locAfter?.resorts || [];
+
+    // Destination-wide charges are in the resorts' own currency
+    diffByKey(locBefore?.charges, locAfter?.charges, c => c.name, c => c.amount, (change, item, bv, av, c) =>
+      entries.push({ change, scope: 'charge', location, resort: 'All resorts', item, before: bv, after: av, currency: resortsAfter[0]?.currency, ...chargeUnit(c) }));
+
+    resortsBefore.filter(b => !resortsAfter.some(a => sameKey(a.resortName, b.resortName)))
+      .forEach(b => entries.push({ change: 'removed', scope: 'resort', location, resort: b.resortName, item: b.resortName }));
+    resortsAfter.filter(a => !resortsBefore.some(b => sameKey(a.resortName, b.resortName)))
+      .forEach(a => entries.push({ change: 'added', scope: 'resort', location, resort: a.resortName, item: a.resortName }));
+
+    resortsAfter.forEach(a => {
+      const b = resortsBefore.find(r => sameKey(r.resortName, a.resortName));
+      if (!b) return;
+      const push = (scope: DiffEntry['scope']) => (change: DiffEntry['change'], item: string, bv?: number, av?: number) =>
+        entries.push({ change, scope, location, resort: a.resortName, item, before: bv, after: av, currency: a.currency });
+
+      diffByKey(b.rooms, a.rooms, r => r.type, r => r.price, push('room'));
+      a.rooms.forEach(room => {
+        const old = b.rooms.find(r => sameKey(r.type, room.type));
+        if (!old) return;
+        diffByKey(old.periods, room.periods, p => `${room.type} · ${p.start} → ${p.end}`, p => p.rate, push('period'));
+      });
+      diffByKey(b.activities, a.activities, act => act.name, act => act.price, push('activity'));
+      diffByKey(b.charges, a.charges, c => c.name, c => c.amount, (change, item, bv, av, c) =>
+        entries.push({ change, scope: 'charge', location, resort: a.resortName, item, before: bv, after: av, currency: a.currency, ...chargeUnit(c) }));
+    });
+  });
+  return entries;
+};
+
+const DIFF_TONE = {
+  added: 'bg-emerald-50 text-emerald-700',
+  removed: 'bg-red-50 text-red-700',
+  changed: 'bg-amber-50 text-amber-700'
+};
+
+// --- Manual Corrections ---
+
+type ItemKind = 'rooms' | 'activities' | 'mealPlans' | 'promotions' | 'charges';
+
+const withResort = (data: ExtractionResult, l: number, r: number, fn: (resort: Resort) => Resort): ExtractionResult => ({
+  ...data,
+  locations: data.locations.map((loc, i) => i !== l ? loc : {
+    ...loc,
+    resorts: loc.resorts.map((res, j) => j !== r ? res : fn(res))
+  })
+});
+
+const withRoom = (resort: Resort, index: number, fn: (room: Room) => Room): Resort => ({
+  ...resort,
+  rooms: resort.rooms.map((rm, i) => i === index ? fn(rm) : rm)
+});
+
+// Manually added items are wholly human-entered, so only extracted items track corrected fields
+const markCorrected = <T extends { origin?: string; correctedFields?: string[] },>(item: T, field: string): T =>
+  item.origin === 'manual' ? item : { ...item, correctedFields: [...new Set([...(item.correctedFields || []), field])] };
+
+// A sheet import is logged as the contract diff between the data before and after it
+const importAuditEntries = (changes: DiffEntry[], by: string, fileName: string): AuditEntry[] => {
+  const at = new Date().toISOString();
+  const action = { added: 'add', removed: 'remove', changed: 'update' } as const;
+  return changes.map(c => ({
+    id: MykishStore.newId(),
+    at,
+    by,
+    action: action[c.change],
+    target: c.scope === 'resort' ? `${c.location} › ${c.resort}` : `${c.location} › ${c.resort} › ${c.item}`,
+    field: c.change !== 'changed' ? `${c.scope} (${fileName})` : `${c.scope === 'period' ? 'rate' : c.scope === 'charge' ? 'amount' : 'price'} (${fileName})`,
+    oldValue: c.before ?? null,
+    newValue: c.after ?? null
+  }));
+};
+
+const itemLabel = (kind: ItemKind, item: Room | Activity | MealPlan | Promotion | Charge) =>
+  kind === 'rooms' ? (item as Room).type : (item as Activity | MealPlan | Promotion | Charge).name;
+
+const periodLabel = (p: RatePeriod) => `${p.start} → ${p.end}`;
+
+// Lists (a charge's percent base, combinable offers, child bands) are logged as text
+type EditValue = string | number | boolean | string[] | ChildBand[];
+const auditValue = (value: EditValue | undefined) => !Array.isArray(value) ? value ?? null
+  : typeof value[0] === 'object' ? (value as ChildBand[]).map(b => `${b.minAge}-${b.maxAge}: ${b.rate}`).join(', ')
+  : (value as string[]).join(' + ');
+
+const newCharge = (existing: Charge[] = []): Charge =>
+  ({ name: `New Charge ${existing.length + 1}`, kind: 'tax', basis: 'per_person_per_night', amount: 0, origin: 'manual' });
+
+// A new season starts the day after the room's last one, at the headline price
+const newPeriod = (room: Room): RatePeriod => {
+  const last = room.periods?.[room.periods.length - 1];
+  const start = last ? MykishQuoteEngine.addDays(last.end, 1) : new Date().toISOString().slice(0, 10);
+  return { start, end: start, rate: room.price, basis: last?.basis || 'per_room', origin: 'manual' };
+};
+
+// Re-extraction matches meal plans by code, so a new one takes a code the resort does not use yet
+const newMealPlan = (existing: MealPlan[] = []): MealPlan => ({
+  code: (BOARD_CODES.find(c => !existing.some(m => m.code === c)) || 'BB') as MealPlan['code'],
+  name: 'New Meal Plan',
+  adultRate: 0,
+  origin: 'manual'
+});
+
+const newPromotion = (existing: Promotion[] = []): Promotion =>
+  ({ name: `New Offer ${existing.length + 1}`, type: 'other', discountPercent: 0, origin: 'manual' });
+
+// Text/number input that only reports a change on blur or Enter, so one edit is one audit entry
+function EditableCell({ value, type = 'text', onCommit, className = '' }: {
+  value: string | number;
+  type?: 'text' | 'number';
+  onCommit: (value: string | number) => void;
+  className?: string;
+}) {
+  const [draft, setDraft] = useState(String(value));
+  React.useEffect(() => setDraft(String(value)), [value]);
+
+  const commit = () => {
+    const next = type === 'number' ? parseFloat(draft) : draft.trim();
+    if (type === 'number' ? !Number.isFinite(next) : !next) {
+      setDraft(String(value));
+      return;
+    }
+    if (next !== value) onCommit(next);
+  };
+
+  return (
+    <input
+      type={type}
+      value={draft}
+      onChange={e => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={e => { if (e.key === 'Enter') (e.target as HTMLInputElement).blur(); }}
+      className={`bg-white border border-slate-200 rounded-lg px-2 py-1 focus:outline-none focus:border-blue-400 ${className}`}
+    />
+  );
+}
+
+// --- Validation ---
+
+const CHARGE_KINDS: string[] = MykishExtraction.CHARGE_KINDS;
+const CHARGE_BASES: string[] = MykishExtraction.CHARGE_BASES;
+const CHARGE_BASE_PARTS: string[] = MykishExtraction.CHARGE_BASE_PARTS;
+
+// Structural checks, then business rules (ISO currencies, non-positive rates, outliers, charge sanity)
+const validateExtraction: (data: unknown) => ValidationReport = MykishExtraction.validateExtraction;
+
+const issuesAt = (report: ValidationReport | null, prefix: string) =>
+  (report?.issues || []).filter(i => i.path === prefix || i.path.startsWith(`${prefix}.`));
+
+const ROW_TONE = {
+  room: { error: 'border-red-300', warning: 'border-amber-300', ok: 'border-slate-100' },
+  activity: { error: 'bg-red-50', warning: 'bg-amber-50', ok: '' }
+};
+
+// --- Extraction Providers ---
+
+type ProviderId = 'gemini' | 'mock' | 'pdf-text';
+
+interface ProviderSettings {
+  provider: ProviderId;
+  model: string;   // Gemini model name
+  record: boolean; // save every Gemini response as a fixture for the mock provider
+}
+
+interface Fixture {
+  fileName: string;
+  recordedAt: string;
+  profileId: string;
+  model: string;
+  response: unknown;
+}
+
+// Returns the raw extraction for one PDF; extractFile checks its structure and stamps the sources
+interface ExtractionProvider {
+  id: ProviderId;
+  retryable: boolean; // only network-backed providers gain anything from a retry
+  extract: (file: File, profile: RuleProfile) => Promise<unknown>;
+}
+
+const DEFAULT_PROVIDER_SETTINGS: ProviderSettings = { provider: 'gemini', model: 'gemini-3-pro-preview', record: false };
+
+const PROVIDERS: Record<ProviderId, { label: string; description: string }> = {
+  'gemini': { label: 'Gemini', description: 'Reads any contract layout, including scans. Needs the API key.' },
+  'mock': { label: 'Recorded fixtures', description: 'Replays a recorded response per file name. Deterministic and offline.' },
+  'pdf-text': { label: 'Local PDF text', description: 'Parses simple table rate sheets from the PDF text layer. Offline; no scans or custom fields.' }
+};
+
+// The client is built on first use, so a missing API key fails each file with its own message
+// instead of the whole run
+const createGeminiProvider = (model: string): ExtractionProvider => {
+  let ai: GoogleGenAI | null = null;
+  return {
+    id: 'gemini',
+    retryable: true,
+    extract: async (file, profile) => {
+      ai = ai || new GoogleGenAI({ apiKey: process.env.API_KEY });
+      const base64 = await fileToBase64(file);
+      const response = await ai.models.generateContent({
+        model,
+        contents: [{
+          parts: [
+            { text: buildPrompt(profile) },
+            { inlineData: { mimeType: 'application/pdf', data: base64 } }
+          ]
+        }],
+        config: {
+          responseMimeType: "application/json",
+          responseSchema: buildSchema(profile)
+        }
+      });
+      return JSON.parse(response.text || "{}");
+    }
+  };
+};
+
+const createMockProvider: (fixtures: Fixture[]) => ExtractionProvider = MykishExtraction.createMockProvider;
+
+interface TextLine {
+  page: number;
+  text: string; // table cells joined with " | "
+}
+
+// Groups the PDF text layer into visual lines, left to right, top to bottom
+const readTextLines = async (file: File): Promise<TextLine[]> => {
+  const doc = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+  const lines: TextLine[] = [];
+  for (let page = 1; page <= doc.numPages; page++) {
+    const content = await (await doc.getPage(page)).getTextContent();
+    const rows = new Map<number, { x: number; str: string }[]>();
+    content.items.forEach((item: any) => {
+      if (!item.str?.trim()) return;
+      const y = Math.round(item.transform[5]);
+      const row = [...rows.keys()].find(k => Math.abs(k - y) <= 2) ?? y;
+      rows.set(row, [...(rows.get(row) || []), { x: item.transform[4], str: item.str.trim() }]);
+    });
+    [...rows.entries()]
+      .sort((a, b) => b[0] - a[0])
+      .forEach(([, cells]) => lines.push({ page, text: cells.sort((a, b) => a.x - b.x).map(c => c.str).join(' | ') }));
+  }
+  return lines;
+};
+
+// Table-style rate sheets: rooms (with seasons), activities and tax or service charge rows
+const parseRateSheetText: (lines: TextLine[], fileName: string, profile: RuleProfile) => ExtractionResult = MykishExtraction.parseRateSheetText;
+
+const createPdfTextProvider = (): ExtractionProvider => ({
+  id: 'pdf-text',
+  retryable: false,
+  extract: async (file, profile) => parseRateSheetText(await readTextLines(file), file.name, profile)
+});
+
+const createProvider = (settings: ProviderSettings, fixtures: Fixture[]): ExtractionProvider =>
+  settings.provider === 'mock' ? createMockProvider(fixtures)
+    : settings.provider === 'pdf-text' ? createPdfTextProvider()
+    : createGeminiProvider(settings.model || DEFAULT_PROVIDER_SETTINGS.model);
+
+// Throws on a malformed response (worth retrying) and stamps the file name into every source
+const extractFile: (provider: ExtractionProvider, file: File, profile: RuleProfile, record?: (raw: unknown) => Promise<void>) => Promise<ExtractionResult> = MykishExtraction.extractFile;
+
 const formatCurrency = (amount: number, currency: string) => {
   try {
     const code = currency?.toUpperCase() || 'USD';
+    // Never relabel an unrecognised currency as USD; show it as extracted
+    if (!/^[A-Z]{3}$/.test(code)) return `${currency} ${amount}`;
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: code.length === 3 ? code : 'USD',
+      currency: code,
     }).format(amount);
   } catch {
     return `${currency} ${amount}`;
   }
 };
 
+const customSummary = (custom: CustomValues) =>
+  Object.entries(custom).map(([k, v]) => `${k}: ${typeof v === 'boolean' ? (v ? 'yes' : 'no') : v}`).join(' · ');
+
 // --- Components ---
 
+interface SourceView {
+  label: string;
+  value: string;
+  source: SourceRef;
+}
+
+const normalizeText = (t: string) => t.replace(/\s+/g, ' ').trim().toLowerCase();
+
+// Renders the cited PDF page locally with pdf.js and boxes the text items covering the snippet
+function SourceViewer({ view, file, onClose }: { view: SourceView; file?: File; onClose: () => void }) {
+  const canvasRef = React.useRef<HTMLCanvasElement>(null);
+  const [boxes, setBoxes] = useState<{ left: number; top: number; width: number; height: number }[]>([]);
+  const [status, setStatus] = useState<'loading' | 'ready' | 'not-found' | 'failed'>('loading');
+
+  React.useEffect(() => {
+    if (!file) return;
+    let cancelled = false;
+    (async () => {
+      try {
+        setStatus('loading');
+        const doc = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+        const page = await doc.getPage(Math.min(Math.max(1, view.source.page), doc.numPages));
+        const viewport = page.getViewport({ scale: 1.4 });
+        const canvas = canvasRef.current;
+        if (cancelled || !canvas) return;
+        canvas.width = viewport.width;
+        canvas.height = viewport.height;
+        await page.render({ canvasContext: canvas.getContext('2d')!, viewport }).promise;
+
+        // Join the page text, find the snippet in it, then keep the items that overlap the match
+        const content = await page.getTextContent();
+        const items = content.items.filter((i: any) => 'str' in i) as any[];
+        let text = '';
+        const spans = items.map(item => {
+          const str = normalizeText(item.str);
+          const start = text.length;
+          if (str) text += str + ' ';
+          return { item, start, end: start + str.length };
+        });
+        const needle = normalizeText(view.source.snippet);
+        const at = needle ? text.indexOf(needle) : -1;
+        const hits = at === -1 ? [] : spans.filter(sp => sp.end > at && sp.start < at + needle.length && sp.end > sp.start);
+        if (cancelled) return;
+        setBoxes(hits.map(({ item }) => {
+          const tx = pdfjsLib.Util.transform(viewport.transform, item.transform);
+          const height = Math.hypot(tx[2], tx[3]);
+          return { left: tx[4], top: tx[5] - height, width: item.width * viewport.scale, height };
+        }));
+        setStatus(hits.length > 0 ? 'ready' : 'not-found');
+      } catch (err) {
+        console.error("PDF render error:", err);
+        if (!cancelled) setStatus('failed');
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [file, view]);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-slate-900/60 backdrop-blur-sm flex items-center justify-center p-6" onClick={onClose}>
+      <div className="bg-white rounded-3xl shadow-2xl w-full max-w-6xl max-h-[90vh] grid grid-cols-1 lg:grid-cols-3 overflow-hidden" onClick={e => e.stopPropagation()}>
+        <div className="lg:col-span-2 bg-slate-100 overflow-auto custom-scrollbar p-6">
+          {file ? (
+            <div className="relative inline-block shadow-lg">
+              <canvas ref={canvasRef} className="block bg-white" />
+              {boxes.map((b, i) => (
+                <div key={i} className="absolute bg-yellow-300/40 border border-yellow-500 rounded-sm" style={{ left: b.left, top: b.top, width: b.width, height: b.height }}></div>
+              ))}
+            </div>
+          ) : (
+            <div className="h-full flex items-center justify-center text-sm text-slate-400 italic p-16 text-center">
+              Source PDF "{view.source.file}" is not loaded in this session. Add it to the queue to view the page.
+            </div>
+          )}
+        </div>
+        <div className="p-6 space-y-6 overflow-auto">
+          <div className="flex justify-between items-start">
+            <div>
+              <p className="text-[9px] font-black text-slate-400 uppercase tracking-widest">Extracted Value</p>
+              <h3 className="text-lg font-black text-slate-900 mt-1">{view.label}</h3>
+              <p className="text-2xl font-black text-blue-600 mt-1">{view.value}</p>
+            </div>
+            <button onClick={onClose} className="text-slate-300 hover:text-slate-600 p-1"><X className="w-5 h-5" /></button>
+          </div>
+          <div>
+            <p className="text-[9px] font-black text-slate-400 uppercase tracking-widest">Source</p>
+            <p className="text-xs font-bold text-slate-700 mt-1 break-all">{view.source.file}</p>
+            <p className="text-[10px] text-slate-400">Page {view.source.page}</p>
+          </div>
+          <blockquote className="border-l-4 border-yellow-400 bg-yellow-50 p-4 rounded-r-xl text-xs text-slate-700 font-mono whitespace-pre-wrap">
+            {view.source.snippet}
+          </blockquote>
+          {file && status === 'loading' && <p className="text-[10px] text-slate-400 flex items-center gap-2"><Loader2 className="w-3 h-3 animate-spin" /> Rendering page...</p>}
+          {status === 'not-found' && <p className="text-[10px] font-bold text-amber-600">Snippet not found verbatim on this page; check the page by eye.</p>}
+          {status === 'failed' && <p className="text-[10px] font-bold text-red-600">Could not render the PDF page.</p>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const CURRENT = 'current';
+
+const diffValue = (d: DiffEntry, value: number) => d.unit === 'percent' ? `${value}%` : formatCurrency(value, d.currency || 'USD');
+
+function VersionHistory({ result, fileNames, onRestore }: {
+  result: ExtractionResult;
+  fileNames: string[];
+  onRestore: (data: ExtractionResult) => void;
+}) {
+  const [snapshots, setSnapshots] = useState<Snapshot[]>([]);
+  const [form, setForm] = useState({ label: '', contractSeason: '', validFrom: '', validTo: '' });
+  const [compare, setCompare] = useState({ from: '', to: CURRENT });
+  const [storageError, setStorageError] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      const list = await listSnapshots();
+      setSnapshots(list);
+      setCompare(c => ({ ...c, from: c.from || list[0]?.id || '' }));
+    } catch (err: any) {
+      setStorageError(err?.message || 'Local storage is unavailable');
+    }
+  }, []);
+
+  React.useEffect(() => { refresh(); }, [refresh]);
+
+  const save = async () => {
+    try {
+      await saveSnapshot({
+        id: MykishStore.newId(),
+        createdAt: new Date().toISOString(),
+        label: form.label.trim() || `Snapshot ${snapshots.length + 1}`,
+        contractSeason: form.contractSeason.trim(),
+        validFrom: form.validFrom,
+        validTo: form.validTo,
+        files: fileNames,
+        data: result
+      });
+    } catch (err: any) {
+      setStorageError(`Saving the snapshot failed: ${err?.message || 'local storage is unavailable'}`);
+      return;
+    }
+    setStorageError(null);
+    setForm({ label: '', contractSeason: form.contractSeason, validFrom: form.validFrom, validTo: form.validTo });
+    refresh();
+  };
+
+  const remove = async (id: string) => {
+    if (!window.confirm('Delete this snapshot?')) return;
+    try {
+      await deleteSnapshot(id);
+    } catch (err: any) {
+      setStorageError(`Deleting the snapshot failed: ${err?.message || 'local storage is unavailable'}`);
+      return;
+    }
+    setStorageError(null);
+    refresh();
+  };
+
+  const dataFor = (id: string) => id === CURRENT ? result : snapshots.find(s => s.id === id)?.data;
+  const from = dataFor(compare.from);
+  const to = dataFor(compare.to);
+  const diff = from && to ? diffResults(from, to) : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm">
+        <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-4 flex items-center gap-2">
+          <Save className="w-3.5 h-3.5" />
+          Save Current Extraction
+        </h3>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <input value={form.label} onChange={e => setForm({ ...form, label: e.target.value })} placeholder="Label, e.g. Amended contract" className="col-span-2 text-xs font-bold px-3 py-2 rounded-xl border border-slate-200" />
+          <input value={form.contractSeason} onChange={e => setForm({ ...form, contractSeason: e.target.value })} placeholder="Season, e.g. 2026/27" className="text-xs font-bold px-3 py-2 rounded-xl border border-slate-200" />
+          <button onClick={save} className="bg-slate-900 hover:bg-slate-800 text-white text-xs font-bold rounded-xl px-4 py-2 transition-colors">Save Snapshot</button>
+          <label className="text-[9px] font-black text-slate-400 uppercase">Valid From<input type="date" value={form.validFrom} onChange={e => setForm({ ...form, validFrom: e.target.value })} className="block w-full mt-1 text-xs font-bold px-3 py-2 rounded-xl border border-slate-200" /></label>
+          <label className="text-[9px] font-black text-slate-400 uppercase">Valid To<input type="date" value={form.validTo} onChange={e => setForm({ ...form, validTo: e.target.value })} className="block w-full mt-1 text-xs font-bold px-3 py-2 rounded-xl border border-slate-200" /></label>
+        </div>
+        {storageError && <p className="text-[10px] font-bold text-red-600 mt-3">{storageError}</p>}
+      </div>
+
+      <div className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm">
+        <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-4 flex items-center gap-2">
+          <History className="w-3.5 h-3.5" />
+          Saved Versions
+        </h3>
+        {snapshots.length === 0 ? (
+          <p className="text-xs text-slate-400 italic">No snapshots yet</p>
+        ) : (
+          <div className="space-y-2">
+            {snapshots.map(snap => (
+              <div key={snap.id} className="flex items-center justify-between bg-slate-50/50 border border-slate-100 rounded-2xl px-4 py-3">
+                <div>
+                  <p className="text-xs font-bold text-slate-800">{snap.label} {snap.contractSeason && <span className="text-slate-400 font-medium">· {snap.contractSeason}</span>}</p>
+                  <p className="text-[10px] text-slate-400">
+                    Saved {new Date(snap.createdAt).toLocaleString()}
+                    {(snap.validFrom || snap.validTo) && ` · valid ${snap.validFrom || '…'} → ${snap.validTo || '…'}`}
+                    {` · ${snap.data.locations.reduce((n, l) => n + l.resorts.length, 0)} resorts`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <button onClick={() => window.confirm('Replace the current data with this snapshot?') && onRestore(snap.data)} className="text-[10px] font-bold text-blue-600 hover:bg-blue-50 px-3 py-1.5 rounded-lg transition-colors">Restore</button>
+                  <button onClick={() => remove(snap.id)} className="text-slate-300 hover:text-red-500 p-1 transition-colors"><Trash2 className="w-3.5 h-3.5" /></button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm">
+        <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest mb-4 flex items-center gap-2">
+          <GitCompare className="w-3.5 h-3.5" />
+          Contract Diff
+        </h3>
+        <div className="flex items-center gap-3 mb-6">
+          {(['from', 'to'] as const).map((side, i) => (
+            <React.Fragment key={side}>
+              {i === 1 && <ChevronRight className="w-4 h-4 text-slate-300" />}
+              <select value={compare[side]} onChange={e => setCompare({ ...compare, [side]: e.target.value })} className="flex-1 text-xs font-bold px-3 py-2 rounded-xl border border-slate-200 bg-white">
+                <option value="">Select version</option>
+                <option value={CURRENT}>Current (unsaved)</option>
+                {snapshots.map(snap => <option key={snap.id} value={snap.id}>{snap.label}{snap.contractSeason ? ` · ${snap.contractSeason}` : ''}</option>)}
+              </select>
+            </React.Fragment>
+          ))}
+        </div>
+        {!from || !to ? (
+          <p className="text-xs text-slate-400 italic">Choose two versions to compare</p>
+        ) : diff.length === 0 ? (
+          <p className="text-xs text-emerald-600 font-bold">No differences</p>
+        ) : (
+          <div className="space-y-1">
+            {diff.map((d, i) => {
+              const delta = pctDelta(d.before, d.after);
+              return (
+                <div key={i} className="grid grid-cols-12 gap-3 items-center text-[11px] py-2 border-b border-slate-50">
+                  <span className={`col-span-2 text-[9px] font-black uppercase tracking-widest px-2 py-0.5 rounded-full text-center ${DIFF_TONE[d.change]}`}>{d.change}</span>
+                  <span className="col-span-5 text-slate-600 truncate" title={`${d.location} › ${d.resort}`}>
+                    <span className="text-slate-400">{d.resort} › </span>
+                    <span className="font-bold">{d.item}</span>
+                    <span className="text-slate-300"> ({d.scope})</span>
+                  </span>
+                  <span className="col-span-3 text-right font-mono text-slate-500">
+                    {d.before !== undefined && diffValue(d, d.before)}
+                    {d.change === 'changed' && ' → '}
+                    {d.after !== undefined && <span className="text-slate-900 font-bold">{diffValue(d, d.after)}</span>}
+                  </span>
+                  <span className={`col-span-2 text-right font-black ${delta === null ? '' : delta > 0 ? 'text-red-600' : 'text-emerald-600'}`}>
+                    {delta !== null && d.change === 'changed' ? `${delta > 0 ? '+' : ''}${delta.toFixed(1)}%` : ''}
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// The calculator looks rate databases up by id; the portal's hand-off always replaces this one record
+const PORTAL_DB_ID = 'analyst-portal';
+
+const BOARD_CODES = ['RO', 'BB', 'HB', 'FB', 'AI'];
+
+type CompareSort = 'total' | 'perNight' | 'resort' | 'room';
+
+const parseAges = (text: string) => text.split(',').map(a => a.trim()).filter(Boolean);
+
+function ResortComparison({ result }: { result: ExtractionResult }) {
+  const [stay, setStay] = useState<StayRequest>({
+    checkIn: '', checkOut: '', adults: 2, childAges: '', board: '', transfers: true, markup: 10,
+    bookingDate: new Date().toISOString().slice(0, 10), honeymoon: false
+  });
+  const [filters, setFilters] = useState({ location: '', locationType: '', budget: '', showUnavailable: false });
+  const [currency, setCurrency] = useState('USD');
+  const [fx, setFx] = useState<FxSettings>({ rates: [], buffer: 2 });
+  const [sort, setSort] = useState<{ key: CompareSort; dir: 1 | -1 }>({ key: 'total', dir: 1 });
+  const [notice, setNotice] = useState<{ tone: 'ok' | 'error'; text: string } | null>(null);
+
+  // Rates come from the calculator's draft so both tools convert the same way
+  React.useEffect(() => {
+    MykishStore.loadDraft('calculator')
+      .then((draft: any) => {
+        if (draft?.fx) setFx(draft.fx);
+        if (draft?.sellCurrency) setCurrency(draft.sellCurrency);
+      })
+      .catch((err: any) => console.error("Loading exchange rates failed:", err));
+  }, []);
+
+  const ready = !!stay.checkIn && !!stay.checkOut;
+  const rows = useMemo(() => {
+    if (!ready) return [];
+    const request = { ...stay, childAges: parseAges(stay.childAges), roomCount: '' };
+    const options = { markup: stay.markup, bookingDate: stay.bookingDate, honeymoon: stay.honeymoon };
+    return MykishQuoteEngine.compareStays(result, request, options).map((row: any) => {
+      const converted = MykishQuoteEngine.convert(row.quote.total, row.quote.currency, currency, fx);
+      const error = row.quote.issues.find((i: any) => i.level === 'error');
+      return {
+        ...row,
+        total: converted.amount as number | null,
+        perNight: converted.amount != null && row.quote.nights > 0 ? converted.amount / row.quote.nights : null,
+        missing: converted.missing as string | undefined,
+        unavailable: error?.message as string | undefined
+      };
+    });
+  }, [result, stay, currency, fx, ready]);
+
+  const budget = parseFloat(filters.budget);
+  const shown = rows
+    .filter(r => !filters.location || r.location.name === filters.location)
+    .filter(r => !filters.locationType || r.resort.locationType === filters.locationType)
+    .filter(r => filters.showUnavailable || !r.unavailable)
+    .filter(r => !(budget > 0) || (r.total != null && r.total <= budget))
+    .sort((a, b) => {
+      // Options that cannot be quoted or converted always sink to the bottom
+      const rank = (r: typeof a) => (r.unavailable ? 2 : 0) + (r.total == null ? 1 : 0);
+      if (rank(a) !== rank(b)) return rank(a) - rank(b);
+      const value = (r: typeof a) => sort.key === 'resort' ? r.resort.resortName : sort.key === 'room' ? r.room.type : r[sort.key] ?? 0;
+      const va = value(a);
+      const vb = value(b);
+      return (typeof va === 'string' ? va.localeCompare(vb as string) : va - (vb as number)) * sort.dir;
+    });
+
+  const missingRates = [...new Set(rows.map(r => r.missing).filter(Boolean))] as string[];
+  const currencies = [...new Set(['USD', currency, ...fx.rates.map(r => r.code)])];
+
+  const setRate = (code: string, perUsd: number) => setFx(prev => ({
+    ...prev,
+    rates: [...prev.rates.filter(r => r.code !== code), { code, perUsd, date: new Date().toISOString().slice(0, 10) }].sort((a, b) => a.code.localeCompare(b.code))
+  }));
+
+  const toggleSort = (key: CompareSort) => setSort(prev => ({ key, dir: prev.key === key ? (-prev.dir as 1 | -1) : 1 }));
+
+  // Writes the option into the calculator's draft: appended as a new leg when the draft already
+  // prices against the portal data, otherwise as a fresh quote after confirmation
+  const addToQuote = async (row: typeof rows[number]) => {
+    try {
+      const draft = (await MykishStore.loadDraft('calculator')) || {};
+      const continuing = draft.dbId === PORTAL_DB_ID && draft.legs?.length > 0;
+      if (!continuing && draft.dbId && !window.confirm('The calculator has a quote in progress on another rate database. Start a new quote with this option instead?')) return;
+      await MykishStore.put('rateDatabases', { id: PORTAL_DB_ID, name: 'Analyst Portal (current data)', importedAt: new Date().toISOString(), data: result });
+      const leg = {
+        id: MykishStore.newId(),
+        locationName: row.location.name,
+        resortName: row.resort.resortName,
+        roomType: row.room.type,
+        board: row.board,
+        extras: row.extras,
+        checkIn: stay.checkIn,
+        checkOut: stay.checkOut,
+        adults: stay.adults,
+        childAges: parseAges(stay.childAges),
+        roomCount: ''
+      };
+      const legs = continuing ? [...draft.legs, leg] : [leg];
+      await MykishStore.saveDraft('calculator', continuing
+        ? { ...draft, legs, fx }
+        : { ...draft, dbId: PORTAL_DB_ID, legs, markup: stay.markup, discount: 0, bookingDate: stay.bookingDate, honeymoon: stay.honeymoon, sellCurrency: currency, fx, quoteMeta: undefined });
+      setNotice({ tone: 'ok', text: `${row.resort.resortName} · ${row.room.type} added to the calculator quote as leg ${legs.length}. Open the calculator to finish it.` });
+    } catch (err: any) {
+      setNotice({ tone: 'error', text: `Could not hand off to the calculator: ${err?.message || 'local storage is unavailable'}` });
+    }
+  };
+
+  const locations = result.locations.map(l => l.name);
+  const boardName = (row: typeof rows[number]) => row.resort.mealPlans?.find((p: MealPlan) => p.code === row.board)?.name || row.board || 'Room only';
+  const included = (row: typeof rows[number]) => [
+    ...row.resort.activities.filter((a: Activity) => a.isIncluded).map((a: Activity) => a.name),
+    ...row.quote.promotions.applied.map((p: any) => p.name),
+    ...row.quote.promotions.perks
+  ];
+  const header = (key: CompareSort, label: string, className: string) => (
+    <button onClick={() => toggleSort(key)} className={`${className} text-[9px] font-black uppercase tracking-widest ${sort.key === key ? 'text-slate-900' : 'text-slate-400'}`}>
+      {label} {sort.key === key ? (sort.dir === 1 ? '▴' : '▾') : ''}
+    </button>
+  );
+  const field = 'block w-full mt-1 text-xs font-bold px-3 py-2 rounded-xl border border-slate-200 bg-white';
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm space-y-4">
+        <h3 className="text-[10px] font-black text-slate-400 uppercase tracking-widest flex items-center gap-2">
+          <Scale className="w-3.5 h-3.5" />
+          Stay to Compare
+        </h3>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <label className="text-[9px] font-black text-slate-400 uppercase">Check-In<input type="date" value={stay.checkIn} onChange={e => setStay({ ...stay, checkIn: e.target.value })} className={field} /></label>
+          <label className="text-[9px] font-black text-slate-400 uppercase">Check-Out<input type="date" value={stay.checkOut} onChange={e => setStay({ ...stay, checkOut: e.target.value })} className={field} /></label>
+          <label className="text-[9px] font-black text-slate-400 uppercase">Adults<input type="number" min="1" value={stay.adults} onChange={e => setStay({ ...stay, adults: parseInt(e.target.value) || 0 })} className={field} /></label>
+          <label className="text-[9px] font-black text-slate-400 uppercase">Child Ages<input value={stay.childAges} placeholder="e.g. 4, 8" onChange={e => setStay({ ...stay, childAges: e.target.value })} className={field} /></label>
+          <label className="text-[9px] font-black text-slate-400 uppercase">Board
+            <select value={stay.board} onChange={e => setStay({ ...stay, board: e.target.value })} className={field}>
+              <option value="">Resort default</option>
+              {BOARD_CODES.map(code => <option key={code} value={code}>{code}</option>)}
+            </select>
+          </label>
+          <label className="text-[9px] font-black text-slate-400 uppercase">Markup %<input type="number" value={stay.markup} onChange={e => setStay({ ...stay, markup: parseFloat(e.target.value) || 0 })} className={field} /></label>
+          <label className="text-[9px] font-black text-slate-400 uppercase">Currency
+            <select value={currency} onChange={e => setCurrency(e.target.value)} className={field}>
+              {currencies.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </label>
+          <label className="text-[9px] font-black text-slate-400 uppercase">Booking Date<input type="date" value={stay.bookingDate} onChange={e => setStay({ ...stay, bookingDate: e.target.value })} className={field} /></label>
+          <label className="flex items-center gap-2 text-[9px] font-black text-slate-400 uppercase pt-5">
+            <input type="checkbox" checked={stay.transfers} onChange={e => setStay({ ...stay, transfers: e.target.checked })} />
+            Include transfers
+          </label>
+          <label className="flex items-center gap-2 text-[9px] font-black text-slate-400 uppercase pt-5">
+            <input type="checkbox" checked={stay.honeymoon} onChange={e => setStay({ ...stay, honeymoon: e.target.checked })} />
+            Honeymoon
+          </label>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 pt-4 border-t border-slate-100">
+          <label className="text-[9px] font-black text-slate-400 uppercase">Location
+            <select value={filters.location} onChange={e => setFilters({ ...filters, location: e.target.value })} className={field}>
+              <option value="">All locations</option>
+              {locations.map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </label>
+          <label className="text-[9px] font-black text-slate-400 uppercase">Contract Type
+            <select value={filters.locationType} onChange={e => setFilters({ ...filters, locationType: e.target.value })} className={field}>
+              <option value="">Bundle and component</option>
+              <option value="Bundle">Bundle</option>
+              <option value="Component">Component</option>
+            </select>
+          </label>
+          <label className="text-[9px] font-black text-slate-400 uppercase">Budget ({currency})<input type="number" value={filters.budget} placeholder="No limit" onChange={e => setFilters({ ...filters, budget: e.target.value })} className={field} /></label>
+          <label className="flex items-center gap-2 text-[9px] font-black text-slate-400 uppercase pt-5">
+            <input type="checkbox" checked={filters.showUnavailable} onChange={e => setFilters({ ...filters, showUnavailable: e.target.checked })} />
+            Show unavailable
+          </label>
+        </div>
+        {missingRates.length > 0 && (
+          <div className="flex flex-wrap items-center gap-3 bg-amber-50 border border-amber-100 rounded-2xl px-4 py-3">
+            <span className="text-[10px] font-bold text-amber-700">No exchange rate (units per 1 USD) for:</span>
+            {missingRates.map(code => (
+              <label key={code} className="text-[10px] font-black text-amber-700 flex items-center gap-1">
+                {code}
+                <input type="number" step="0.0001" onBlur={e => parseFloat(e.target.value) > 0 && setRate(code, parseFloat(e.target.value))} className="w-24 text-xs font-bold px-2 py-1 rounded-lg border border-amber-200" />
+              </label>
+            ))}
+          </div>
+        )}
+        {notice && <p className={`text-[10px] font-bold ${notice.tone === 'ok' ? 'text-emerald-600' : 'text-red-600'}`}>{notice.text}</p>}
+      </div>
+
+      <div className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm">
+        {!ready ? (
+          <p className="text-xs text-slate-400 italic">Enter check-in and check-out dates to price every room</p>
+        ) : shown.length === 0 ? (
+          <p className="text-xs text-slate-400 italic">No options match these filters</p>
+        ) : (
+          <div className="space-y-1">
+            <div className="grid grid-cols-12 gap-3 pb-2 border-b border-slate-100 text-left">
+              {header('resort', 'Resort', 'col-span-3 text-left')}
+              {header('room', 'Room · Board', 'col-span-3 text-left')}
+              <span className="col-span-2 text-[9px] font-black text-slate-400 uppercase tracking-widest">Included</span>
+              {header('perNight', 'Per Night', 'col-span-1 text-right')}
+              {header('total', `Total ${currency}`, 'col-span-2 text-right')}
+              <span className="col-span-1"></span>
+            </div>
+            {shown.map(row => (
+              <div key={`${row.location.name}|${row.resort.resortName}|${row.room.type}`} className={`grid grid-cols-12 gap-3 items-center text-[11px] py-2 border-b border-slate-50 ${row.unavailable ? 'opacity-50' : ''}`}>
+                <span className="col-span-3">
+                  <span className="font-bold text-slate-800 block">{row.resort.resortName}</span>
+                  <span className="text-[10px] text-slate-400">{row.location.name} · {row.resort.locationType}</span>
+                </span>
+                <span className="col-span-3">
+                  <span className="font-bold text-slate-700 block">{row.room.type}</span>
+                  <span className="text-[10px] text-slate-400">{boardName(row)}{stay.board && row.board !== stay.board ? ` (no ${stay.board})` : ''}{row.extras.length > 0 ? ` · ${row.extras.join(', ')}` : ''}</span>
+                </span>
+                <span className="col-span-2 text-[10px] text-slate-500 leading-tight">
+                  {row.unavailable ? <span className="text-red-600 font-bold">{row.unavailable}</span> : included(row).join(', ') || '—'}
+                </span>
+                <span className="col-span-1 text-right font-mono text-slate-500">{row.perNight != null ? formatCurrency(Math.round(row.perNight), currency) : '—'}</span>
+                <span className="col-span-2 text-right">
+                  <span className="font-black text-slate-900 block">{row.total != null ? formatCurrency(Math.round(row.total * 100) / 100, currency) : `No ${row.missing} rate`}</span>
+                  {row.quote.currency !== currency && <span className="text-[10px] text-slate-400 font-mono">{formatCurrency(Math.round(row.quote.total * 100) / 100, row.quote.currency)}</span>}
+                </span>
+                <span className="col-span-1 text-right">
+                  <button onClick={() => addToQuote(row)} disabled={!!row.unavailable} className="text-[10px] font-bold text-blue-600 hover:bg-blue-50 px-2 py-1.5 rounded-lg transition-colors disabled:text-slate-300 disabled:hover:bg-transparent">Add to quote</button>
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const CHARGE_BASIS_LABEL: Record<Charge['basis'], string> = {
+  per_person_per_night: 'pppn',
+  per_person: 'per person',
+  per_room_per_night: 'per room/night',
+  per_booking: 'per booking',
+  percent: '%'
+};
+
+const ACTIVITY_UNIT_LABEL: Record<NonNullable<Activity['unit']>, string> = {
+  per_person: 'per person',
+  per_person_per_night: 'pppn',
+  per_booking: 'per booking'
+};
+
+const PROMOTION_TYPES: Promotion['type'][] = ['early_bird', 'stay_pay', 'honeymoon', 'long_stay', 'other'];
+
+// Compact selects and date inputs of the Data View editors
+const EDIT_FIELD = 'bg-white border border-slate-200 rounded-lg px-2 py-1 text-[10px] font-bold focus:outline-none focus:border-blue-400';
+
+const chargeAmount = (c: Charge, currency: string) =>
+  c.basis === 'percent'
+    ? `${c.amount}%${c.base?.length ? ` of ${c.base.join(' + ')}` : ''}`
+    : `${formatCurrency(c.amount, currency)}${c.childAmount !== undefined ? ` / ${formatCurrency(c.childAmount, currency)} child` : ''} ${CHARGE_BASIS_LABEL[c.basis]}`;
+
+// Mandatory taxes, fees and surcharges of a resort or a whole location, in the order they are levied
+function ChargeList({ charges, currency, path, report, editMode, onEdit, onAdd, onRemove, onSource }: {
+  charges: Charge[];
+  currency: string;
+  path: string; // validation path of the owner, e.g. locations[0].resorts[1]
+  report: ValidationReport | null;
+  editMode: boolean;
+  onEdit: (index: number, field: string, value: EditValue) => void;
+  onAdd: () => void;
+  onRemove: (index: number) => void;
+  onSource: (charge: Charge) => void;
+}) {
+  if (charges.length === 0 && !editMode) return null;
+  const field = 'bg-white border border-slate-200 rounded-lg px-2 py-1 text-[10px] font-bold focus:outline-none focus:border-blue-400';
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <p className="text-[9px] font-black text-slate-400 uppercase tracking-widest">Taxes &amp; Fees</p>
+        <div className="h-px bg-slate-100 flex-1 ml-4"></div>
+      </div>
+      <div className="space-y-1">
+        {charges.map((c, i) => {
+          const found = issuesAt(report, `${path}.charges[${i}]`);
+          const level = found.some(x => x.level === 'error') ? 'error' : found.length > 0 ? 'warning' : 'ok';
+          return (
+            <div key={i} title={found.map(x => x.message).join('\n')} className={`px-2 py-2 rounded-lg hover:bg-slate-50 transition-colors ${ROW_TONE.activity[level]}`}>
+              {editMode ? (
+                <div className="space-y-2">
+                  <div className="flex items-center gap-2">
+                    <EditableCell value={c.name} onCommit={v => onEdit(i, 'name', v)} className="flex-1 min-w-0 text-xs font-medium" />
+                    <EditableCell type="number" value={c.amount} onCommit={v => onEdit(i, 'amount', v)} className="w-20 text-[11px] font-black text-right" />
+                    <button onClick={() => onRemove(i)} className="text-slate-300 hover:text-red-500 transition-colors" title="Remove charge">
+                      <X className="w-3 h-3" />
+                    </button>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <select value={c.kind} onChange={e => onEdit(i, 'kind', e.target.value)} className={field}>
+                      {CHARGE_KINDS.map(k => <option key={k} value={k}>{k}</option>)}
+                    </select>
+                    <select value={c.basis} onChange={e => onEdit(i, 'basis', e.target.value)} className={field}>
+                      {CHARGE_BASES.map(b => <option key={b} value={b}>{CHARGE_BASIS_LABEL[b as Charge['basis']]}</option>)}
+                    </select>
+                    {c.basis !== 'percent' && (
+                      <label className="text-[9px] font-black text-slate-400 uppercase flex items-center gap-1">Child
+                        <EditableCell type="number" value={c.childAmount ?? c.amount} onCommit={v => onEdit(i, 'childAmount', v)} className="w-16 text-[10px] font-bold" />
+                      </label>
+                    )}
+                    <label className="text-[9px] font-black text-slate-400 uppercase flex items-center gap-1">Free under
+                      <EditableCell type="number" value={c.exemptUnderAge ?? 0} onCommit={v => onEdit(i, 'exemptUnderAge', v)} className="w-12 text-[10px] font-bold" />
+                    </label>
+                    {c.basis === 'percent' && CHARGE_BASE_PARTS.map(part => {
+                      const base = c.base?.length ? c.base : MykishQuoteEngine.DEFAULT_CHARGE_BASE;
+                      const on = base.includes(part);
+                      return (
+                        <button key={part} onClick={() => onEdit(i, 'base', on ? base.filter((b: string) => b !== part) : [...base, part])} className={`text-[9px] font-black uppercase px-2 py-1 rounded-lg ${on ? 'bg-blue-600 text-white' : 'bg-slate-100 text-slate-400'}`}>
+                          {part}
+                        </button>
+                      );
+                    })}
+                    <input type="date" value={c.start || ''} onChange={e => onEdit(i, 'start', e.target.value)} className={field} title="First date charged" />
+                    <input type="date" value={c.end || ''} onChange={e => onEdit(i, 'end', e.target.value)} className={field} title="Last date charged" />
+                  </div>
+                </div>
+              ) : (
+                <div className="flex justify-between items-center">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <span className="text-xs font-medium text-slate-600">{c.name}</span>
+                    <span className={`text-[8px] font-black px-1.5 py-0.5 rounded-md uppercase tracking-tighter ${c.kind === 'surcharge' ? 'bg-amber-50 text-amber-600' : 'bg-slate-100 text-slate-500'}`}>{c.kind}</span>
+                    {(c.start || c.end) && <span className="text-[10px] text-slate-400">{c.start === c.end ? c.start : `${c.start || '…'} → ${c.end || '…'}`}</span>}
+                    {c.exemptUnderAge ? <span className="text-[10px] text-slate-400">free under {c.exemptUnderAge}</span> : null}
+                    {c.origin === 'manual' && <span className="text-[8px] font-black bg-amber-50 text-amber-600 px-1.5 py-0.5 rounded-md uppercase tracking-tighter">Manual</span>}
+                    {c.correctedFields && c.correctedFields.length > 0 && <span title={`Corrected: ${c.correctedFields.join(', ')}`} className="text-[8px] font-black bg-amber-50 text-amber-600 px-1.5 py-0.5 rounded-md uppercase tracking-tighter">Corrected</span>}
+                  </div>
+                  <span className="text-[11px] font-black text-slate-700 whitespace-nowrap">
+                    {chargeAmount(c, currency)}
+                    {c.source && (
+                      <button title={`${c.source.file} p.${c.source.page}`} onClick={() => onSource(c)} className="ml-2 align-middle text-slate-300 hover:text-blue-600 transition-colors">
+                        <FileSearch className="w-3 h-3 inline" />
+                      </button>
+                    )}
+                  </span>
+                </div>
+              )}
+            </div>
+          );
+        })}
+        {editMode && (
+          <button onClick={onAdd} className="w-full text-[10px] font-black text-blue-600 uppercase tracking-widest py-2 mt-2 rounded-xl border border-dashed border-blue-200 hover:bg-blue-50 transition-colors">
+            + Add Charge
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Occupancy rules and child bands of one room, as the quote engine reads them
+function OccupancyEditor({ rules, onEdit }: {
+  rules: OccupancyRules;
+  onEdit: (field: keyof OccupancyRules, value: number | ChildBand[]) => void;
+}) {
+  const bands = rules.childBands || [];
+  const setBand = (i: number, patch: Partial<ChildBand>) => onEdit('childBands', bands.map((b, j) => j === i ? { ...b, ...patch } : b));
+  const nextAge = bands.length ? Math.max(...bands.map(b => b.maxAge)) + 1 : 0;
+  const label = 'text-[9px] font-black text-slate-400 uppercase flex items-center gap-1';
+  const numbers: [keyof OccupancyRules, string][] = [
+    ['baseOccupancy', 'Base adults'],
+    ['maxAdults', 'Max adults'],
+    ['maxOccupancy', 'Max guests'],
+    ['freeChildren', 'Free children'],
+    ['extraAdultRate', 'Extra bed'],
+    ['singleSupplement', 'Single supp.']
+  ];
+
+  return (
+    <div className="mt-3 space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        {numbers.map(([field, text]) => (
+          <label key={field} className={label}>{text}
+            <EditableCell type="number" value={(rules[field] as number | undefined) ?? 0} onCommit={v => onEdit(field, Number(v))} className="w-14 text-[10px] font-bold" />
+          </label>
+        ))}
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        {bands.map((b, i) => (
+          <span key={i} className={label}>Child
+            <EditableCell type="number" value={b.minAge} onCommit={v => setBand(i, { minAge: Number(v) })} className="w-10 text-[10px] font-bold" />
+            to
+            <EditableCell type="number" value={b.maxAge} onCommit={v => setBand(i, { maxAge: Number(v) })} className="w-10 text-[10px] font-bold" />
+            <EditableCell type="number" value={b.rate} onCommit={v => setBand(i, { rate: Number(v) })} className="w-14 text-[10px] font-bold" />
+            <button onClick={() => onEdit('childBands', bands.filter((_, j) => j !== i))} className="text-slate-300 hover:text-red-500 transition-colors" title="Remove child band">
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+        <button onClick={() => onEdit('childBands', [...bands, { minAge: nextAge, maxAge: nextAge, rate: 0 }])} className="text-[9px] font-black uppercase text-blue-600">+ Child Band</button>
+      </div>
+    </div>
+  );
+}
+
+// One promotion in edit mode; the fields shown follow its type
+function PromotionEditor({ promo, others, onEdit, onRemove }: {
+  promo: Promotion;
+  others: string[]; // names of the resort's other offers, for combinableWith
+  onEdit: (field: string, value: EditValue) => void;
+  onRemove: () => void;
+}) {
+  const combines = promo.combinableWith || [];
+  const number = (key: 'discountPercent' | 'stayNights' | 'payNights' | 'minDaysBeforeArrival' | 'minNights', text: string) => (
+    <label className="text-[9px] font-black text-slate-400 uppercase flex items-center gap-1">{text}
+      <EditableCell type="number" value={promo[key] ?? 0} onCommit={v => onEdit(key, v)} className="w-12 text-[10px] font-bold" />
+    </label>
+  );
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <EditableCell value={promo.name} onCommit={v => onEdit('name', v)} className="flex-1 min-w-0 text-xs font-medium" />
+        <select value={promo.type} onChange={e => onEdit('type', e.target.value)} className={EDIT_FIELD}>
+          {PROMOTION_TYPES.map(t => <option key={t} value={t}>{t.replace('_', ' ')}</option>)}
+        </select>
+        <button onClick={onRemove} className="text-slate-300 hover:text-red-500 transition-colors" title="Remove promotion">
+          <X className="w-3 h-3" />
+        </button>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        {promo.type === 'stay_pay' ? <>{number('stayNights', 'Stay')}{number('payNights', 'Pay')}</> : number('discountPercent', '% off')}
+        {number('minDaysBeforeArrival', 'Days ahead')}
+        {number('minNights', 'Min nights')}
+        <input type="date" value={promo.travelStart || ''} onChange={e => onEdit('travelStart', e.target.value)} className={EDIT_FIELD} title="Travel from" />
+        <input type="date" value={promo.travelEnd || ''} onChange={e => onEdit('travelEnd', e.target.value)} className={EDIT_FIELD} title="Travel until" />
+        <input type="date" value={promo.bookingEnd || ''} onChange={e => onEdit('bookingEnd', e.target.value)} className={EDIT_FIELD} title="Book by" />
+      </div>
+      {others.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="text-[9px] font-black text-slate-400 uppercase mr-1">Combines with</span>
+          {others.map(name => {
+            const on = combines.includes(name);
+            return (
+              <button key={name} onClick={() => onEdit('combinableWith', on ? combines.filter(n => n !== name) : [...combines, name])} className={`text-[9px] font-black uppercase px-2 py-1 rounded-lg ${on ? 'bg-blue-600 text-white' : 'bg-slate-100 text-slate-400'}`}>
+                {name}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const BLANK_FIELD: CustomField = { name: '', level: 'room', type: 'string', description: '' };
+
+// Create, duplicate, edit and delete the locally stored rule profiles; built-ins can only be duplicated
+function RuleProfileManager({ profiles, onSave, onDelete }: {
+  profiles: RuleProfile[];
+  onSave: (profile: RuleProfile) => Promise<void>;
+  onDelete: (id: string) => Promise<void>;
+}) {
+  const [draft, setDraft] = useState<RuleProfile | null>(null);
+  const [formError, setFormError] = useState<string | null>(null);
+
+  const startEdit = (profile: RuleProfile | null, copy = false) => {
+    setFormError(null);
+    setDraft(profile
+      ? { ...profile, id: copy ? MykishStore.newId() : profile.id, name: copy ? `${profile.name} (copy)` : profile.name, customFields: profile.customFields.map(f => ({ ...f })), builtIn: false }
+      : { id: MykishStore.newId(), name: '', destination: '', packaging: 'Component', instructions: '', customFields: [] });
+  };
+
+  const setField = (i: number, patch: Partial<CustomField>) =>
+    setDraft(d => d && { ...d, customFields: d.customFields.map((f, j) => j === i ? { ...f, ...patch } : f) });
+
+  const save = async () => {
+    if (!draft) return;
+    const names = draft.customFields.map(f => f.name.trim());
+    if (!draft.name.trim()) return setFormError('Give the profile a name.');
+    if (names.some(n => !/^[A-Za-z][A-Za-z0-9_]*$/.test(n))) return setFormError('Custom field names must start with a letter and use only letters, digits and _.');
+    if (new Set(names).size !== names.length) return setFormError('Custom field names must be unique.');
+    // A failed write keeps the editor open so nothing typed is lost
+    try {
+      await onSave({ ...draft, name: draft.name.trim(), destination: draft.destination.trim(), customFields: draft.customFields.map(f => ({ ...f, name: f.name.trim() })) });
+    } catch (err: any) {
+      return setFormError(`Saving the profile failed: ${err?.message || 'local storage is unavailable'}`);
+    }
+    setDraft(null);
+  };
+
+  const remove = async (id: string) => {
+    setFormError(null);
+    try {
+      await onDelete(id);
+    } catch (err: any) {
+      setFormError(`Deleting the profile failed: ${err?.message || 'local storage is unavailable'}`);
+    }
+  };
+
+  const input = "w-full text-xs bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5";
+
+  return (
+    <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-xs font-bold text-slate-400 uppercase tracking-widest">Rule Profiles</h2>
+        <button onClick={() => startEdit(null)} className="text-[10px] font-black uppercase text-blue-600 hover:text-blue-700">New Profile</button>
+      </div>
+
+      {!draft && profiles.map(p => (
+        <div key={p.id} className="flex items-center justify-between gap-2 border border-slate-100 rounded-xl px-3 py-2">
+          <div className="overflow-hidden">
+            <p className="text-xs font-bold text-slate-700 truncate">{p.name}</p>
+            <p className="text-[10px] text-slate-400">{p.destination || 'Any destination'} · {p.packaging === 'auto' ? 'Auto packaging' : p.packaging}{p.customFields.length > 0 && ` · ${p.customFields.length} custom field(s)`}</p>
+          </div>
+          <div className="flex gap-2 shrink-0 text-[10px] font-black uppercase">
+            {!p.builtIn && <button onClick={() => startEdit(p)} className="text-slate-500 hover:text-blue-600">Edit</button>}
+            <button onClick={() => startEdit(p, true)} className="text-slate-500 hover:text-blue-600">Duplicate</button>
+            {!p.builtIn && <button onClick={() => remove(p.id)} className="text-slate-300 hover:text-red-500"><Trash2 className="w-3.5 h-3.5" /></button>}
+          </div>
+        </div>
+      ))}
+      {!draft && formError && <p className="text-[10px] font-bold text-red-500">{formError}</p>}
+
+      {draft && (
+        <div className="space-y-3">
+          <input value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} placeholder="Profile name (e.g. Seychelles Component)" className={input} />
+          <div className="grid grid-cols-2 gap-2">
+            <input value={draft.destination} onChange={e => setDraft({ ...draft, destination: e.target.value })} placeholder="Destination" className={input} />
+            <select value={draft.packaging} onChange={e => setDraft({ ...draft, packaging: e.target.value as RuleProfile['packaging'] })} className={input}>
+              <option value="Component">Component (priced separately)</option>
+              <option value="Bundle">Bundle (activities included)</option>
+              <option value="auto">Decide per resort</option>
+            </select>
+          </div>
+          <textarea value={draft.instructions} onChange={e => setDraft({ ...draft, instructions: e.target.value })} rows={4} placeholder="Extra instructions for this destination's contracts" className={input} />
+          <div className="space-y-2">
+            <p className="text-[10px] font-black text-slate-400 uppercase">Custom Fields</p>
+            {draft.customFields.map((f, i) => (
+              <div key={i} className="grid grid-cols-12 gap-1 items-center">
+                <input value={f.name} onChange={e => setField(i, { name: e.target.value })} placeholder="name" className={`${input} col-span-3`} />
+                <select value={f.level} onChange={e => setField(i, { level: e.target.value as CustomField['level'] })} className={`${input} col-span-3`}>
+                  <option value="resort">resort</option>
+                  <option value="room">room</option>
+                  <option value="activity">activity</option>
+                </select>
+                <select value={f.type} onChange={e => setField(i, { type: e.target.value as CustomField['type'] })} className={`${input} col-span-2`}>
+                  <option value="string">text</option>
+                  <option value="number">number</option>
+                  <option value="boolean">yes/no</option>
+                </select>
+                <input value={f.description} onChange={e => setField(i, { description: e.target.value })} placeholder="what to extract" className={`${input} col-span-3`} />
+                <button onClick={() => setDraft({ ...draft, customFields: draft.customFields.filter((_, j) => j !== i) })} className="text-slate-300 hover:text-red-500 justify-self-center"><X className="w-3.5 h-3.5" /></button>
+              </div>
+            ))}
+            <button onClick={() => setDraft({ ...draft, customFields: [...draft.customFields, { ...BLANK_FIELD }] })} className="text-[10px] font-black uppercase text-blue-600">+ Add Field</button>
+          </div>
+          {formError && <p className="text-[10px] font-bold text-red-500">{formError}</p>}
+          <div className="flex gap-2">
+            <button onClick={save} className="flex-1 bg-slate-900 text-white text-xs font-bold py-2 rounded-lg">Save Profile</button>
+            <button onClick={() => setDraft(null)} className="px-4 text-xs font-bold text-slate-500">Cancel</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
 export default function TravelDataAnalyst() {
   const [files, setFiles] = useState<FileWithStatus[]>([]);
   const [isProcessing, setIsProcessing] = useState(false);
   const [result, setResult] = useState<ExtractionResult | null>(null);
+  const [fileResults, setFileResults] = useState<Record<string, ExtractionResult>>({});
   const [error, setError] = useState<string | null>(null);
-  const [activeTab, setActiveTab] = useState<'preview' | 'json'>('preview');
+  const [activeTab, setActiveTab] = useState<'preview' | 'compare' | 'json' | 'versions'>('preview');
+
+  const [sourceView, setSourceView] = useState<SourceView | null>(null);
+  const [editMode, setEditMode] = useState(false);
+  const [reviewer, setReviewer] = useState('');
+  const [showAudit, setShowAudit] = useState(false);
+  const [profiles, setProfiles] = useState<RuleProfile[]>(BUILT_IN_PROFILES);
+  const [batchProfileId, setBatchProfileId] = useState(DEFAULT_PROFILE_ID);
+  const [showProfiles, setShowProfiles] = useState(false);
+
+  // A file's own choice wins over the batch choice; a deleted profile falls back to the default
+  const profileFor = (f: FileWithStatus) =>
+    profiles.find(p => p.id === f.profileId) || profiles.find(p => p.id === batchProfileId) || BUILT_IN_PROFILES[0];
+  // Completed files are re-queued when their profile changes after extraction
+  const needsRun = (f: FileWithStatus) => f.status !== 'completed' || (f.extractedWith || DEFAULT_PROFILE_ID) !== profileFor(f).id;
+
+  const [providerSettings, setProviderSettings] = useState<ProviderSettings>(DEFAULT_PROVIDER_SETTINGS);
+  const [fixtureCount, setFixtureCount] = useState(0);
+
+  const refreshFixtures = () => MykishStore.getAll('fixtures').then((list: Fixture[]) => setFixtureCount(list.length)).catch(() => setFixtureCount(0));
+
+  React.useEffect(() => {
+    MykishStore.loadDraft('extractionSettings')
+      .then((saved: ProviderSettings | null) => saved && setProviderSettings({ ...DEFAULT_PROVIDER_SETTINGS, ...saved }))
+      .catch((err: any) => console.error("Loading extraction settings failed:", err));
+    refreshFixtures();
+  }, []);
+
+  const updateProviderSettings = (patch: Partial<ProviderSettings>) => {
+    const next = { ...providerSettings, ...patch };
+    setProviderSettings(next);
+    MykishStore.saveDraft('extractionSettings', next).catch((err: any) => console.error("Saving extraction settings failed:", err));
+  };
+
+  const exportFixtures = async () => {
+    const fixtures = await MykishStore.getAll('fixtures');
+    downloadBlob(new Blob([JSON.stringify(fixtures, null, 2)], { type: 'application/json' }), `extraction-fixtures-${new Date().getTime()}.json`);
+  };
+
+  // Accepts a fixture export (array of records) or a plain { "file.pdf": response } map
+  const importFixtures = async (file: File) => {
+    try {
+      const parsed = JSON.parse(await file.text());
+      const fixtures: Fixture[] = Array.isArray(parsed)
+        ? parsed
+        : Object.entries(parsed).map(([fileName, response]) => ({ fileName, recordedAt: new Date().toISOString(), profileId: '', model: '', response }));
+      if (fixtures.some(f => typeof f?.fileName !== 'string' || f.response === undefined)) throw new Error('Each fixture needs a fileName and a response.');
+      for (const fixture of fixtures) await MykishStore.put('fixtures', fixture);
+      await refreshFixtures();
+      setError(null);
+    } catch (err: any) {
+      setError(`Could not import fixtures from ${file.name}: ${err.message}`);
+    }
+  };
+
+  const refreshProfiles = () => listProfiles().then(setProfiles).catch((err: any) => console.error("Loading rule profiles failed:", err));
+
+  React.useEffect(() => { refreshProfiles(); }, []);
+
+  const saveProfile = async (profile: RuleProfile) => {
+    const { builtIn, ...stored } = profile;
+    await MykishStore.put('ruleProfiles', stored);
+    await refreshProfiles();
+  };
+
+  const deleteProfile = async (id: string) => {
+    await MykishStore.remove('ruleProfiles', id);
+    setFiles(prev => prev.map(f => f.profileId === id ? { ...f, profileId: undefined } : f));
+    if (batchProfileId === id) setBatchProfileId(DEFAULT_PROFILE_ID);
+    await refreshProfiles();
+  };
+
+  const auditEntry = (entry: Omit<AuditEntry, 'id' | 'at' | 'by'>): AuditEntry => ({
+    id: Math.random().toString(36).substr(2, 9),
+    at: new Date().toISOString(),
+    by: reviewer.trim(),
+    ...entry
+  });
+
+  // Every manual change goes through here so the data and its audit trail never drift apart
+  const applyEdit = (l: number, r: number, entry: Omit<AuditEntry, 'id' | 'at' | 'by'>, fn: (resort: Resort) => Resort) => {
+    setResult(prev => prev && {
+      ...withResort(prev, l, r, fn),
+      audit: [...(prev.audit || []), auditEntry(entry)]
+    });
+  };
+
+  // Destination-wide charges belong to the location rather than any one resort
+  const applyLocationEdit = (l: number, entry: Omit<AuditEntry, 'id' | 'at' | 'by'>, fn: (charges: Charge[]) => Charge[]) => {
+    setResult(prev => prev && {
+      ...prev,
+      locations: prev.locations.map((loc, i) => i !== l ? loc : { ...loc, charges: fn(loc.charges || []) }),
+      audit: [...(prev.audit || []), auditEntry(entry)]
+    });
+  };
+
+  const editLocationCharge = (l: number, index: number, field: string, value: EditValue) => {
+    const loc = result!.locations[l];
+    const charge = loc.charges![index] as any;
+    applyLocationEdit(l, { action: 'update', target: `${loc.name} › ${charge.name}`, field, oldValue: auditValue(charge[field]), newValue: auditValue(value) },
+      charges => charges.map((c, i) => i === index ? markCorrected({ ...c, [field]: value }, field) : c));
+  };
+
+  const addLocationCharge = (l: number) => {
+    const loc = result!.locations[l];
+    const charge = newCharge(loc.charges);
+    applyLocationEdit(l, { action: 'add', target: loc.name, field: 'charges', oldValue: null, newValue: charge.name }, charges => [...charges, charge]);
+  };
+
+  const removeLocationCharge = (l: number, index: number) => {
+    const loc = result!.locations[l];
+    applyLocationEdit(l, { action: 'remove', target: loc.name, field: 'charges', oldValue: loc.charges![index].name, newValue: null },
+      charges => charges.filter((_, i) => i !== index));
+  };
+
+  const editResortField = (l: number, r: number, field: 'currency' | 'locationType', value: string) => {
+    const resort = result!.locations[l].resorts[r];
+    applyEdit(l, r, { action: 'update', target: `${result!.locations[l].name} › ${resort.resortName}`, field, oldValue: resort[field], newValue: value },
+      res => markCorrected({ ...res, [field]: value } as Resort, field));
+  };
+
+  const editItem = (l: number, r: number, kind: ItemKind, index: number, field: string, value: EditValue) => {
+    const resort = result!.locations[l].resorts[r];
+    const item = resort[kind]![index] as any;
+    applyEdit(l, r, { action: 'update', target: `${result!.locations[l].name} › ${resort.resortName} › ${itemLabel(kind, item)}`, field, oldValue: auditValue(item[field]), newValue: auditValue(value) },
+      res => ({ ...res, [kind]: (res[kind] as any[]).map((it, i) => i === index ? markCorrected({ ...it, [field]: value }, field) : it) }));
+  };
+
+  const addItem = (l: number, r: number, kind: ItemKind) => {
+    const resort = result!.locations[l].resorts[r];
+    const item = kind === 'rooms'
+      ? { type: `New Room ${resort.rooms.length + 1}`, price: 0, origin: 'manual' as const }
+      : kind === 'charges'
+      ? newCharge(resort.charges)
+      : kind === 'mealPlans'
+      ? newMealPlan(resort.mealPlans)
+      : kind === 'promotions'
+      ? newPromotion(resort.promotions)
+      : { name: `New Activity ${resort.activities.length + 1}`, price: 0, isIncluded: resort.locationType === 'Bundle', origin: 'manual' as const };
+    applyEdit(l, r, { action: 'add', target: `${result!.locations[l].name} › ${resort.resortName}`, field: kind, oldValue: null, newValue: itemLabel(kind, item) },
+      res => ({ ...res, [kind]: [...(res[kind] || []), item] }));
+  };
+
+  const removeItem = (l: number, r: number, kind: ItemKind, index: number) => {
+    const resort = result!.locations[l].resorts[r];
+    applyEdit(l, r, { action: 'remove', target: `${result!.locations[l].name} › ${resort.resortName}`, field: kind, oldValue: itemLabel(kind, resort[kind]![index]), newValue: null },
+      res => ({ ...res, [kind]: (res[kind] as any[]).filter((_, i) => i !== index) }));
+  };
+
+  // Seasons are what the quote engine prices from. Adding or removing one marks the room's periods as
+  // corrected, so a re-extraction keeps the reviewer's list.
+  const editPeriod = (l: number, r: number, rm: number, index: number, field: string, value: EditValue) => {
+    const resort = result!.locations[l].resorts[r];
+    const room = resort.rooms[rm];
+    const period = room.periods![index] as any;
+    applyEdit(l, r, { action: 'update', target: `${result!.locations[l].name} › ${resort.resortName} › ${room.type} › ${periodLabel(period)}`, field, oldValue: auditValue(period[field]), newValue: auditValue(value) },
+      res => withRoom(res, rm, current => ({ ...current, periods: current.periods!.map((p, i) => i === index ? markCorrected({ ...p, [field]: value }, field) : p) })));
+  };
+
+  const addPeriod = (l: number, r: number, rm: number) => {
+    const resort = result!.locations[l].resorts[r];
+    const period = newPeriod(resort.rooms[rm]);
+    applyEdit(l, r, { action: 'add', target: `${result!.locations[l].name} › ${resort.resortName} › ${resort.rooms[rm].type}`, field: 'periods', oldValue: null, newValue: periodLabel(period) },
+      res => withRoom(res, rm, current => markCorrected({ ...current, periods: [...(current.periods || []), period] }, 'periods')));
+  };
+
+  const removePeriod = (l: number, r: number, rm: number, index: number) => {
+    const resort = result!.locations[l].resorts[r];
+    const room = resort.rooms[rm];
+    applyEdit(l, r, { action: 'remove', target: `${result!.locations[l].name} › ${resort.resortName} › ${room.type}`, field: 'periods', oldValue: periodLabel(room.periods![index]), newValue: null },
+      res => withRoom(res, rm, current => markCorrected({ ...current, periods: current.periods!.filter((_, i) => i !== index) }, 'periods')));
+  };
+
+  // A room without occupancy rules is priced with the engine defaults, so the first edit starts from them
+  const editOccupancy = (l: number, r: number, rm: number, field: keyof OccupancyRules, value: number | ChildBand[]) => {
+    const resort = result!.locations[l].resorts[r];
+    const room = resort.rooms[rm];
+    const rules: OccupancyRules = { ...MykishQuoteEngine.DEFAULT_OCCUPANCY, ...room.occupancy };
+    applyEdit(l, r, { action: 'update', target: `${result!.locations[l].name} › ${resort.resortName} › ${room.type}`, field: `occupancy.${field}`, oldValue: auditValue(rules[field]), newValue: auditValue(value) },
+      res => withRoom(res, rm, current => markCorrected({ ...current, occupancy: { ...MykishQuoteEngine.DEFAULT_OCCUPANCY, ...current.occupancy, [field]: value } }, 'occupancy')));
+  };
+
+  const [restored, setRestored] = useState(false);
+
+  // Restore the last session (queued PDFs, per-file results, reviewed data) after a reload
+  React.useEffect(() => {
+    MykishStore.loadDraft('analyst')
+      .then((draft: any) => {
+        if (!draft) return;
+        setFiles(draft.files || []);
+        setFileResults(draft.fileResults || {});
+        setResult(draft.result || null);
+        setReviewer(draft.reviewer || '');
+        setBatchProfileId(draft.batchProfileId || DEFAULT_PROFILE_ID);
+      })
+      .catch((err: any) => console.error("Session restore failed:", err))
+      .finally(() => setRestored(true));
+  }, []);
+
+  React.useEffect(() => {
+    if (!restored || isProcessing) return;
+    const timer = setTimeout(() => {
+      MykishStore.saveDraft('analyst', { files, fileResults, result, reviewer, batchProfileId })
+        .catch((err: any) => console.error("Session save failed:", err));
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [restored, isProcessing, files, fileResults, result, reviewer, batchProfileId]);
+
+  const report = useMemo(() => result ? validateExtraction(result) : null, [result]);
+  const health = !report ? null
+    : report.errorCount > 0 ? { label: `${report.errorCount} Errors`, text: 'text-red-600', dot: 'bg-red-500' }
+    : report.warningCount > 0 ? { label: `${report.warningCount} Warnings`, text: 'text-amber-600', dot: 'bg-amber-500' }
+    : { label: 'Validated', text: 'text-emerald-600', dot: 'bg-emerald-500' };
 
   const onFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     if (e.target.files) {
@@ -105,128 +1949,122 @@ export default function TravelDataAnalyst() {
   };
 
   const removeFile = (id: string) => {
+    const { [id]: _removed, ...rest } = fileResults;
+    const kept = files.filter(f => f.id !== id && rest[f.id]).map(f => rest[f.id]);
     setFiles(prev => prev.filter(f => f.id !== id));
+    setFileResults(rest);
+    // Once a reviewer has corrected the data it is no longer rebuilt from the raw extractions
+    if (!result?.audit?.length) setResult(kept.length > 0 ? mergeResults(kept) : null);
+  };
+
+  const doneCount = files.filter(f => f.status === 'completed' || f.status === 'error').length;
+  const failedFiles = files.filter(f => f.status === 'error');
+  const queuedFiles = files.filter(needsRun);
+  const profilesInUse = files.length === 0
+    ? [{ profile: profileFor({} as FileWithStatus), count: 0 }]
+    : [...new Set(files.map(f => profileFor(f)))].map(profile => ({ profile, count: files.filter(f => profileFor(f) === profile).length }));
+
+  const updateFile = (id: string, patch: Partial<FileWithStatus>) => {
+    setFiles(prev => prev.map(f => f.id === id ? { ...f, ...patch } : f));
   };
 
+  // Each PDF is extracted on its own so one bad brochure cannot sink the batch.
+  // Files already completed keep their results; only pending and failed ones are (re)run.
   const processDocuments = async () => {
-    if (files.length === 0) return;
+    const queue = files.filter(needsRun);
+    if (queue.length === 0) return;
 
     setIsProcessing(true);
     setError(null);
-    setResult(null);
 
+    // Provider setup and fixture loading can fail before any file runs; isProcessing is reset either way
     try {
-      const ai = new GoogleGenAI({ apiKey: process.env.API_KEY });
-      const parts = [];
-      
-      const systemPrompt = `You are a Senior Data Analyst. Convert the uploaded travel PDF documents into a single, structured JSON database.
+      const settings = providerSettings;
+      const provider = createProvider(settings, settings.provider === 'mock' ? await MykishStore.getAll('fixtures') : []);
+      const recordFor = (f: FileWithStatus, profile: RuleProfile) => provider.id === 'gemini' && settings.record
+        ? (response: unknown) => MykishStore.put('fixtures', { fileName: f.file.name, recordedAt: new Date().toISOString(), profileId: profile.id, model: settings.model, response })
+        : undefined;
+      const collected: Record<string, ExtractionResult> = { ...fileResults };
 
-EXTRACTION RULES:
-1. Location: Identify the country/location for each PDF.
-2. Resorts: Group all data by Resort Name.
-3. The 'Finland' Rule: In Finland PDFs, room rates and activities are often bundled. Extract the bundle price as the 'price' in the rooms array. List the included activities with a price of 0 and isIncluded=true.
-4. The 'Maldives' Rule: Extract the room price and separate activities (like transfers, excursions, supplements) with their individual prices. isIncluded=false unless explicitly stated as part of the room rate.
-5. Currency: Identify the currency for each resort (e.g., USD, EUR, AUD).
-6. Stay Logic: Ensure 'Stay' costs (rooms) are clearly identified, as these are the only items subject to discounts.
-7. Output: Strict JSON format matching the schema provided.
-
-The locationType should be "Bundle" if the Finland Rule is applied, and "Component" if the Maldives Rule is applied.`;
-
-      parts.push({ text: systemPrompt });
-
-      for (const f of files) {
-        const base64 = await fileToBase64(f.file);
-        parts.push({
-          inlineData: {
-            mimeType: 'application/pdf',
-            data: base64
-          }
-        });
-      }
-
-      const response = await ai.models.generateContent({
-        model: 'gemini-3-pro-preview',
-        contents: [{ parts }],
-        config: {
-          responseMimeType: "application/json",
-          responseSchema: {
-            type: Type.OBJECT,
-            properties: {
-              locations: {
-                type: Type.ARRAY,
-                items: {
-                  type: Type.OBJECT,
-                  properties: {
-                    name: { type: Type.STRING, description: "Location Name (e.g., Maldives, Finland)" },
-                    resorts: {
-                      type: Type.ARRAY,
-                      items: {
-                        type: Type.OBJECT,
-                        properties: {
-                          resortName: { type: Type.STRING },
-                          currency: { type: Type.STRING, description: "3-letter ISO code or symbol" },
-                          locationType: { type: Type.STRING, enum: ["Component", "Bundle"] },
-                          rooms: {
-                            type: Type.ARRAY,
-                            items: {
-                              type: Type.OBJECT,
-                              properties: {
-                                type: { type: Type.STRING, description: "Room/Package Name" },
-                                price: { type: Type.NUMBER }
-                              },
-                              required: ["type", "price"]
-                            }
-                          },
-                          activities: {
-                            type: Type.ARRAY,
-                            items: {
-                              type: Type.OBJECT,
-                              properties: {
-                                name: { type: Type.STRING, description: "Activity/Service Name" },
-                                price: { type: Type.NUMBER },
-                                isIncluded: { type: Type.BOOLEAN }
-                              },
-                              required: ["name", "price", "isIncluded"]
-                            }
-                          }
-                        },
-                        required: ["resortName", "currency", "locationType", "rooms", "activities"]
-                      }
-                    }
-                  },
-                  required: ["name", "resorts"]
-                }
-              }
-            },
-            required: ["locations"]
-          }
+      await runWithConcurrency(queue, MAX_CONCURRENT_FILES, async (f) => {
+        const profile = profileFor(f);
+        updateFile(f.id, { status: 'processing', error: undefined, attempts: 0 });
+        try {
+          const data = await withRetry(
+            () => extractFile(provider, f.file, profile, recordFor(f, profile)),
+            provider.retryable ? MAX_ATTEMPTS : 1,
+            (attempt) => updateFile(f.id, { attempts: attempt })
+          );
+          collected[f.id] = data;
+          updateFile(f.id, { status: 'completed', extractedWith: profile.id });
+        } catch (err: any) {
+          console.error(`Extraction error (${f.file.name}):`, err);
+          updateFile(f.id, { status: 'error', error: err.message || "Extraction failed" });
         }
       });
 
-      const extractedData = JSON.parse(response.text || "{}") as ExtractionResult;
-      setResult(extractedData);
-      setFiles(prev => prev.map(f => ({ ...f, status: 'completed' })));
+      const kept = files.filter(f => collected[f.id]).map(f => collected[f.id]);
+      const fresh = queue.filter(f => collected[f.id]).map(f => collected[f.id]);
+      setFileResults(collected);
+      if (kept.length > 0) {
+        // Once reviewed, only the re-run files are folded in and the reviewer's corrections survive
+        const rerun = queue.filter(f => collected[f.id]).map(f => f.file.name);
+        setResult(prev => prev?.audit?.length ? mergeReviewed(prev, fresh, rerun) : mergeResults(kept));
+      } else {
+        setError(`Every file failed to extract with ${PROVIDERS[provider.id].label}. Check the messages next to each file.`);
+      }
+      if (settings.record) refreshFixtures();
     } catch (err: any) {
-      console.error("Extraction error:", err);
-      setError(err.message || "Failed to extract data. Ensure the files are valid PDFs and your API key is correct.");
+      console.error('Extraction run failed:', err);
+      setError(`Extraction could not run: ${err.message}`);
     } finally {
       setIsProcessing(false);
     }
   };
 
-  const downloadJson = () => {
-    if (!result) return;
-    const blob = new Blob([JSON.stringify(result, null, 2)], { type: 'application/json' });
+  const downloadBlob = (blob: Blob, fileName: string) => {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `travel-database-${new Date().getTime()}.json`;
+    a.download = fileName;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
   };
 
+  const downloadJson = () => {
+    if (!result) return;
+    downloadBlob(new Blob([JSON.stringify(result, null, 2)], { type: 'application/json' }), `travel-database-${new Date().getTime()}.json`);
+  };
+
+  // Flat rows for reservations and accounting: one CSV, or one XLSX sheet per location
+  const downloadSheet = (format: 'csv' | 'xlsx') => {
+    if (!result) return;
+    const name = `travel-rates-${new Date().getTime()}`;
+    if (format === 'csv') {
+      downloadBlob(new Blob([MykishRateSheet.toCsv(MykishRateSheet.toRows(result))], { type: 'text/csv' }), `${name}.csv`);
+    } else {
+      XLSX.writeFile(MykishRateSheet.toWorkbook(XLSX, result), `${name}.xlsx`);
+    }
+  };
+
+  // Loads a spreadsheet-edited rate sheet back in; matching items keep their sources, occupancy and offers
+  const importSheet = async (file: File) => {
+    try {
+      const rows = /\.xlsx?$/i.test(file.name)
+        ? MykishRateSheet.readWorkbook(XLSX, XLSX.read(await file.arrayBuffer()))
+        : MykishRateSheet.parseCsv(await file.text());
+      const imported: ExtractionResult = MykishRateSheet.fromRows(rows, result);
+      const changes = diffResults(result || { locations: [] }, imported);
+      setResult({ ...imported, audit: [...(imported.audit || []), ...importAuditEntries(changes, reviewer.trim(), file.name)] });
+      setActiveTab('preview');
+      setError(null);
+    } catch (err: any) {
+      setError(`Could not import ${file.name}: ${err.message}`);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-[#f8fafc] text-slate-900 font-sans selection:bg-blue-100">
       {/* Header */}
@@ -241,15 +2079,41 @@ The locationType should be "Bundle" if the Finland Rule is applied, and "Compone
           </div>
         </div>
         
-        {result && (
-          <button 
-            onClick={downloadJson}
-            className="flex items-center gap-2 bg-slate-900 hover:bg-slate-800 text-white px-4 py-2 rounded-lg text-sm font-semibold transition-all shadow-md active:scale-95"
-          >
-            <Download className="w-4 h-4" />
-            Export DB
-          </button>
-        )}
+        <div className="flex items-center gap-2">
+          <label className="flex items-center gap-2 text-slate-600 hover:bg-slate-100 px-3 py-2 rounded-lg text-sm font-semibold transition-all cursor-pointer">
+            <FileSpreadsheet className="w-4 h-4" />
+            Import Sheet
+            <input
+              type="file"
+              accept=".csv,.xlsx,.xls"
+              className="hidden"
+              onChange={e => { if (e.target.files?.[0]) importSheet(e.target.files[0]); e.target.value = ''; }}
+            />
+          </label>
+          {result && (
+            <>
+              <button
+                onClick={() => downloadSheet('csv')}
+                className="text-slate-600 hover:bg-slate-100 px-3 py-2 rounded-lg text-sm font-semibold transition-all"
+              >
+                CSV
+              </button>
+              <button
+                onClick={() => downloadSheet('xlsx')}
+                className="text-slate-600 hover:bg-slate-100 px-3 py-2 rounded-lg text-sm font-semibold transition-all"
+              >
+                XLSX
+              </button>
+              <button 
+                onClick={downloadJson}
+                className="flex items-center gap-2 bg-slate-900 hover:bg-slate-800 text-white px-4 py-2 rounded-lg text-sm font-semibold transition-all shadow-md active:scale-95"
+              >
+                <Download className="w-4 h-4" />
+                Export DB
+              </button>
+            </>
+          )}
+        </div>
       </header>
 
       <main className="max-w-7xl mx-auto p-6 grid grid-cols-1 lg:grid-cols-12 gap-8">
@@ -298,9 +2162,27 @@ The locationType should be "Bundle" if the Finland Rule is applied, and "Compone
                       </div>
                       <div className="overflow-hidden">
                         <p className="text-xs font-bold text-slate-700 truncate">{f.file.name}</p>
-                        <p className="text-[10px] text-slate-400">{(f.file.size / 1024).toFixed(1)} KB</p>
+                        <p className={`text-[10px] truncate ${f.status === 'error' ? 'text-red-500' : 'text-slate-400'}`}>
+                          {f.status === 'error'
+                            ? `Failed after ${f.attempts} attempt(s): ${f.error}`
+                            : f.status === 'processing' && (f.attempts || 0) > 1
+                              ? `Retrying (attempt ${f.attempts} of ${MAX_ATTEMPTS})`
+                              : `${(f.file.size / 1024).toFixed(1)} KB`}
+                        </p>
+                        <select
+                          value={f.profileId || ''}
+                          disabled={isProcessing}
+                          onChange={e => updateFile(f.id, { profileId: e.target.value || undefined })}
+                          className="mt-1 max-w-full text-[10px] font-semibold text-slate-500 bg-transparent border-none p-0 focus:ring-0"
+                        >
+                          <option value="">Batch profile</option>
+                          {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                        </select>
+                        {f.status === 'completed' && needsRun(f) && <p className="text-[10px] font-bold text-amber-600">Profile changed, re-run to apply</p>}
                       </div>
                     </div>
+                    {f.status === 'processing' && <Loader2 className="w-3.5 h-3.5 text-blue-500 animate-spin shrink-0" />}
+                    {f.status === 'completed' && <CheckCircle2 className="w-3.5 h-3.5 text-emerald-500 shrink-0" />}
                     <button 
                       onClick={() => removeFile(f.id)}
                       className="text-slate-300 hover:text-red-500 p-1 transition-colors"
@@ -314,23 +2196,66 @@ The locationType should be "Bundle" if the Finland Rule is applied, and "Compone
 
             <button
               onClick={processDocuments}
-              disabled={files.length === 0 || isProcessing}
+              disabled={queuedFiles.length === 0 || isProcessing}
               className="w-full mt-8 bg-blue-600 hover:bg-blue-700 disabled:bg-slate-200 disabled:text-slate-400 disabled:cursor-not-allowed text-white font-bold py-3.5 rounded-xl shadow-lg shadow-blue-100 transition-all flex items-center justify-center gap-3 active:scale-[0.98]"
             >
               {isProcessing ? (
                 <>
                   <Loader2 className="w-4 h-4 animate-spin" />
-                  Analyzing...
+                  Analyzing {doneCount}/{files.length}...
                 </>
               ) : (
                 <>
                   <Search className="w-4 h-4" />
-                  Run Extraction
+                  {failedFiles.length > 0 ? `Retry ${failedFiles.length} Failed` : 'Run Extraction'}
                 </>
               )}
             </button>
           </div>
 
+          <div className="bg-white rounded-2xl border border-slate-200 p-6 shadow-sm space-y-3">
+            <h2 className="text-xs font-bold text-slate-400 uppercase tracking-widest flex items-center gap-2">
+              <Settings className="w-4 h-4" />
+              Extraction Engine
+            </h2>
+            <select
+              value={providerSettings.provider}
+              disabled={isProcessing}
+              onChange={e => updateProviderSettings({ provider: e.target.value as ProviderId })}
+              className="w-full text-xs font-bold bg-slate-50 border border-slate-200 rounded-lg px-2 py-2"
+            >
+              {(Object.keys(PROVIDERS) as ProviderId[]).map(id => <option key={id} value={id}>{PROVIDERS[id].label}</option>)}
+            </select>
+            <p className="text-[10px] text-slate-400 leading-relaxed">{PROVIDERS[providerSettings.provider].description}</p>
+            {providerSettings.provider === 'gemini' && (
+              <>
+                <label className="block">
+                  <span className="text-[10px] font-bold text-slate-400 uppercase">Model</span>
+                  <input
+                    value={providerSettings.model}
+                    disabled={isProcessing}
+                    onChange={e => updateProviderSettings({ model: e.target.value })}
+                    className="mt-1 w-full text-xs font-mono bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5"
+                  />
+                </label>
+                <label className="flex items-center gap-2 text-[11px] font-semibold text-slate-600">
+                  <input type="checkbox" checked={providerSettings.record} onChange={e => updateProviderSettings({ record: e.target.checked })} />
+                  Record responses as fixtures
+                </label>
+              </>
+            )}
+            <div className="flex items-center justify-between text-[10px] font-bold text-slate-400 uppercase">
+              <span>{fixtureCount} recorded fixture(s)</span>
+              <span className="flex gap-3">
+                <label className="cursor-pointer hover:text-blue-600">
+                  Import
+                  <input type="file" accept=".json,application/json" className="hidden" onChange={e => { if (e.target.files?.[0]) importFixtures(e.target.files[0]); e.target.value = ''; }} />
+                </label>
+                {fixtureCount > 0 && <button onClick={exportFixtures} className="uppercase hover:text-blue-600">Export</button>}
+              </span>
+            </div>
+          </div>
+
           <div className="bg-slate-900 rounded-2xl p-6 text-white shadow-xl relative overflow-hidden">
             <div className="absolute -right-4 -bottom-4 opacity-10">
               <Database className="w-24 h-24" />
@@ -339,21 +2264,40 @@ The locationType should be "Bundle" if the Finland Rule is applied, and "Compone
               <CheckSquare className="w-3 h-3" />
               Normalization Rules
             </h3>
-            <div className="space-y-4">
-              <div className="group">
-                <p className="text-xs font-bold text-slate-100 group-hover:text-blue-400 transition-colors">Finland Bundling</p>
-                <p className="text-[10px] text-slate-400 leading-relaxed mt-1">Rates identified as bundles. Activities auto-included at $0 base.</p>
-              </div>
-              <div className="group">
-                <p className="text-xs font-bold text-slate-100 group-hover:text-blue-400 transition-colors">Maldives Component</p>
-                <p className="text-[10px] text-slate-400 leading-relaxed mt-1">Granular extraction of discrete services and room inventory.</p>
-              </div>
-              <div className="group">
-                <p className="text-xs font-bold text-slate-100 group-hover:text-blue-400 transition-colors">Currency Isolation</p>
-                <p className="text-[10px] text-slate-400 leading-relaxed mt-1">Resort-level currency detection for financial normalization.</p>
-              </div>
+            <label className="block mb-4 relative z-10">
+              <span className="text-[10px] text-slate-400 font-bold uppercase">Batch Profile</span>
+              <select
+                value={batchProfileId}
+                disabled={isProcessing}
+                onChange={e => setBatchProfileId(e.target.value)}
+                className="mt-1 w-full bg-slate-800 border border-slate-700 rounded-lg px-2 py-1.5 text-xs font-bold text-slate-100"
+              >
+                {profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+              </select>
+            </label>
+            <div className="space-y-4 relative z-10">
+              {profilesInUse.map(({ profile, count }) => (
+                <div key={profile.id} className="group">
+                  <p className="text-xs font-bold text-slate-100 group-hover:text-blue-400 transition-colors">
+                    {profile.name}
+                    {count > 0 && <span className="ml-2 text-[10px] text-slate-500">{count} file(s)</span>}
+                  </p>
+                  <p className="text-[10px] text-slate-400 leading-relaxed mt-1">
+                    {profile.destination || 'Destination from document'} · {profile.packaging === 'auto' ? 'Bundle or component decided per resort' : profile.packaging === 'Bundle' ? 'Rates identified as bundles, activities included at $0' : 'Discrete services priced separately from rooms'}
+                  </p>
+                  {profile.instructions.trim() && <p className="text-[10px] text-slate-500 leading-relaxed mt-1 line-clamp-3">{profile.instructions}</p>}
+                  {profile.customFields.length > 0 && (
+                    <p className="text-[10px] text-blue-300 mt-1">Custom: {profile.customFields.map(f => `${f.level}.${f.name}`).join(', ')}</p>
+                  )}
+                </div>
+              ))}
             </div>
+            <button onClick={() => setShowProfiles(v => !v)} className="mt-4 relative z-10 text-[10px] font-black uppercase text-blue-400 hover:text-blue-300">
+              {showProfiles ? 'Hide Profiles' : 'Manage Profiles'}
+            </button>
           </div>
+
+          {showProfiles && <RuleProfileManager profiles={profiles} onSave={saveProfile} onDelete={deleteProfile} />}
         </section>
 
         {/* Main Workspace */}
@@ -381,6 +2325,7 @@ The locationType should be "Bundle" if the Finland Rule is applied, and "Compone
               <div className="text-center">
                 <h3 className="text-slate-800 font-bold text-2xl tracking-tight">Processing Intelligence</h3>
                 <p className="text-slate-500 text-sm mt-3 animate-pulse">Contextualizing pricing tiers and bundling logic...</p>
+                <p className="text-slate-400 text-xs font-bold mt-2">{doneCount} of {files.length} files processed</p>
               </div>
             </div>
           )}
@@ -403,8 +2348,17 @@ The locationType should be "Bundle" if the Finland Rule is applied, and "Compone
             </div>
           )}
 
-          {result && (
+          {result && !isProcessing && (
             <div className="space-y-8 animate-in fade-in slide-in-from-bottom-8 duration-700">
+              {failedFiles.length > 0 && (
+                <div className="bg-amber-50 border border-amber-200 rounded-2xl p-4 flex items-start gap-3">
+                  <AlertCircle className="w-4 h-4 text-amber-600 mt-0.5 shrink-0" />
+                  <div>
+                    <p className="text-xs font-bold text-amber-900">Partial results: {failedFiles.length} of {files.length} files failed</p>
+                    <p className="text-[10px] text-amber-700 mt-1">{failedFiles.map(f => f.file.name).join(', ')}</p>
+                  </div>
+                </div>
+              )}
               {/* Tab Navigation */}
               <div className="flex items-center justify-between bg-white p-3 rounded-2xl border border-slate-200 shadow-sm">
                 <div className="flex gap-2">
@@ -415,6 +2369,13 @@ The locationType should be "Bundle" if the Finland Rule is applied, and "Compone
                     <Table className="w-3.5 h-3.5" />
                     Data View
                   </button>
+                  <button 
+                    onClick={() => setActiveTab('compare')}
+                    className={`px-6 py-2 rounded-xl text-xs font-bold transition-all flex items-center gap-2 ${activeTab === 'compare' ? 'bg-slate-900 text-white shadow-lg' : 'text-slate-500 hover:bg-slate-50'}`}
+                  >
+                    <Scale className="w-3.5 h-3.5" />
+                    Compare
+                  </button>
                   <button 
                     onClick={() => setActiveTab('json')}
                     className={`px-6 py-2 rounded-xl text-xs font-bold transition-all flex items-center gap-2 ${activeTab === 'json' ? 'bg-slate-900 text-white shadow-lg' : 'text-slate-500 hover:bg-slate-50'}`}
@@ -422,13 +2383,36 @@ The locationType should be "Bundle" if the Finland Rule is applied, and "Compone
                     <Code className="w-3.5 h-3.5" />
                     Database Schema
                   </button>
+                  <button 
+                    onClick={() => setActiveTab('versions')}
+                    className={`px-6 py-2 rounded-xl text-xs font-bold transition-all flex items-center gap-2 ${activeTab === 'versions' ? 'bg-slate-900 text-white shadow-lg' : 'text-slate-500 hover:bg-slate-50'}`}
+                  >
+                    <History className="w-3.5 h-3.5" />
+                    Versions
+                  </button>
+                </div>
+                <div className="flex items-center gap-2">
+                  <input
+                    value={reviewer}
+                    onChange={e => setReviewer(e.target.value)}
+                    placeholder="Reviewer name"
+                    className="w-32 text-xs font-bold px-3 py-2 rounded-xl border border-slate-200 focus:outline-none focus:border-blue-400"
+                  />
+                  <button
+                    onClick={() => { setEditMode(!editMode); setActiveTab('preview'); }}
+                    disabled={!reviewer.trim()}
+                    title={reviewer.trim() ? '' : 'Enter your name to make corrections'}
+                    className={`px-4 py-2 rounded-xl text-xs font-bold transition-all disabled:opacity-40 disabled:cursor-not-allowed ${editMode ? 'bg-blue-600 text-white shadow-lg' : 'text-slate-500 hover:bg-slate-50 border border-slate-200'}`}
+                  >
+                    {editMode ? 'Done Editing' : 'Edit Data'}
+                  </button>
                 </div>
                 <div className="flex items-center gap-3 pr-2">
                   <div className="flex flex-col items-end">
                     <span className="text-[9px] font-bold text-slate-400 uppercase tracking-tighter">Extraction Health</span>
-                    <span className="text-[11px] font-black text-emerald-600 uppercase">Validated</span>
+                    <span className={`text-[11px] font-black uppercase ${health?.text}`}>{health?.label}</span>
                   </div>
-                  <div className="w-2 h-2 rounded-full bg-emerald-500 animate-pulse"></div>
+                  <div className={`w-2 h-2 rounded-full animate-pulse ${health?.dot}`}></div>
                 </div>
               </div>
 
@@ -443,9 +2427,32 @@ The locationType should be "Bundle" if the Finland Rule is applied, and "Compone
                           <span className="text-xs font-bold text-slate-300 group-hover:text-slate-400 transition-colors uppercase tracking-[0.2em] pt-1">Location</span>
                         </h2>
                       </div>
+                      {(editMode || (loc.charges && loc.charges.length > 0)) && (
+                        <div className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm">
+                          <ChargeList
+                            charges={loc.charges || []}
+                            currency={loc.resorts[0]?.currency || 'USD'}
+                            path={`locations[${lIdx}]`}
+                            report={report}
+                            editMode={editMode}
+                            onEdit={(i, field, value) => editLocationCharge(lIdx, i, field, value)}
+                            onAdd={() => addLocationCharge(lIdx)}
+                            onRemove={i => removeLocationCharge(lIdx, i)}
+                            onSource={c => setSourceView({ label: `${loc.name} · ${c.name}`, value: chargeAmount(c, loc.resorts[0]?.currency || 'USD'), source: c.source! })}
+                          />
+                          <p className="text-[10px] text-slate-400 mt-3">Applies to every resort in {loc.name}, in each resort's currency, unless the resort lists its own charge of the same name.</p>
+                        </div>
+                      )}
                       
                       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-                        {loc.resorts.map((resort, rIdx) => (
+                        {loc.resorts.map((resort, rIdx) => {
+                          const resortPath = `locations[${lIdx}].resorts[${rIdx}]`;
+                          const resortIssues = issuesAt(report, resortPath);
+                          const rowLevel = (path: string) => {
+                            const found = issuesAt(report, path);
+                            return found.some(i => i.level === 'error') ? 'error' : found.length > 0 ? 'warning' : 'ok';
+                          };
+                          return (
                           <div key={rIdx} className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm hover:shadow-xl hover:border-blue-200 transition-all group overflow-hidden relative">
                             <div className={`absolute top-0 right-0 w-32 h-32 -mr-16 -mt-16 rounded-full opacity-5 transition-transform group-hover:scale-110 ${resort.locationType === 'Bundle' ? 'bg-indigo-600' : 'bg-emerald-600'}`}></div>
                             
@@ -453,13 +2460,33 @@ The locationType should be "Bundle" if the Finland Rule is applied, and "Compone
                               <div className="space-y-2">
                                 <h3 className="text-xl font-black text-slate-900 leading-none">{resort.resortName}</h3>
                                 <div className="flex items-center gap-2">
-                                  <span className={`text-[9px] font-black px-2 py-0.5 rounded-full uppercase tracking-widest ${resort.locationType === 'Bundle' ? 'bg-indigo-50 text-indigo-600' : 'bg-emerald-50 text-emerald-600'}`}>
-                                    {resort.locationType} Rule
-                                  </span>
-                                  <span className="text-[9px] font-black px-2 py-0.5 rounded-full uppercase tracking-widest bg-slate-50 text-slate-400">
-                                    {resort.currency}
-                                  </span>
+                                  {editMode ? (
+                                    <>
+                                      <select
+                                        value={resort.locationType}
+                                        onChange={e => editResortField(lIdx, rIdx, 'locationType', e.target.value)}
+                                        className="text-[10px] font-black uppercase bg-white border border-slate-200 rounded-lg px-2 py-1"
+                                      >
+                                        <option value="Component">Component</option>
+                                        <option value="Bundle">Bundle</option>
+                                      </select>
+                                      <EditableCell value={resort.currency} onCommit={v => editResortField(lIdx, rIdx, 'currency', String(v).toUpperCase())} className="w-16 text-[10px] font-black uppercase" />
+                                    </>
+                                  ) : (
+                                    <>
+                                      <span className={`text-[9px] font-black px-2 py-0.5 rounded-full uppercase tracking-widest ${resort.locationType === 'Bundle' ? 'bg-indigo-50 text-indigo-600' : 'bg-emerald-50 text-emerald-600'}`}>
+                                        {resort.locationType} Rule
+                                      </span>
+                                      <span className="text-[9px] font-black px-2 py-0.5 rounded-full uppercase tracking-widest bg-slate-50 text-slate-400">
+                                        {resort.currency}
+                                      </span>
+                                    </>
+                                  )}
+                                  {resort.correctedFields && resort.correctedFields.length > 0 && (
+                                    <span className="text-[8px] font-black bg-amber-50 text-amber-600 px-1.5 py-0.5 rounded-md uppercase tracking-tighter">Corrected</span>
+                                  )}
                                 </div>
+                                {resort.custom && <p className="text-[10px] font-medium text-slate-400">{customSummary(resort.custom)}</p>}
                               </div>
                               <div className="bg-slate-50 p-2 rounded-xl">
                                 <Building2 className="w-5 h-5 text-slate-400" />
@@ -474,14 +2501,182 @@ The locationType should be "Bundle" if the Finland Rule is applied, and "Compone
                                 </div>
                                 <div className="space-y-2">
                                   {resort.rooms.map((room, rmIdx) => (
-                                    <div key={rmIdx} className="flex justify-between items-center bg-slate-50/50 p-4 rounded-2xl border border-slate-100 group/item hover:bg-white hover:shadow-sm transition-all">
-                                      <span className="text-xs font-bold text-slate-700 group-hover/item:text-slate-900 transition-colors">{room.type}</span>
-                                      <span className="text-sm font-black text-slate-900">{formatCurrency(room.price, resort.currency)}</span>
+                                    <div key={rmIdx} className={`bg-slate-50/50 p-4 rounded-2xl border group/item hover:bg-white hover:shadow-sm transition-all ${ROW_TONE.room[rowLevel(`${resortPath}.rooms[${rmIdx}]`)]}`}>
+                                      <div className="flex justify-between items-center gap-2">
+                                        {editMode ? (
+                                          <EditableCell value={room.type} onCommit={v => editItem(lIdx, rIdx, 'rooms', rmIdx, 'type', v)} className="flex-1 min-w-0 text-xs font-bold" />
+                                        ) : (
+                                          <span className="text-xs font-bold text-slate-700 group-hover/item:text-slate-900 transition-colors flex items-center gap-2">
+                                            {room.type}
+                                            {room.origin === 'manual' && <span className="text-[8px] font-black bg-amber-50 text-amber-600 px-1.5 py-0.5 rounded-md uppercase tracking-tighter">Manual</span>}
+                                            {room.correctedFields && room.correctedFields.length > 0 && <span title={`Corrected: ${room.correctedFields.join(', ')}`} className="text-[8px] font-black bg-amber-50 text-amber-600 px-1.5 py-0.5 rounded-md uppercase tracking-tighter">Corrected</span>}
+                                            {room.custom && <span title={customSummary(room.custom)} className="text-[8px] font-black bg-blue-50 text-blue-600 px-1.5 py-0.5 rounded-md uppercase tracking-tighter">Custom</span>}
+                                          </span>
+                                        )}
+                                        <span className="flex items-center gap-2">
+                                          {editMode ? (
+                                            <>
+                                              <EditableCell type="number" value={room.price} onCommit={v => editItem(lIdx, rIdx, 'rooms', rmIdx, 'price', v)} className="w-24 text-sm font-black text-right" />
+                                              <button onClick={() => removeItem(lIdx, rIdx, 'rooms', rmIdx)} className="text-slate-300 hover:text-red-500 transition-colors" title="Remove room">
+                                                <X className="w-3.5 h-3.5" />
+                                              </button>
+                                            </>
+                                          ) : (
+                                            <span className="text-sm font-black text-slate-900">{formatCurrency(room.price, resort.currency)}</span>
+                                          )}
+                                          {room.source && (
+                                            <button title={`${room.source.file} p.${room.source.page}`} onClick={() => setSourceView({ label: `${resort.resortName} · ${room.type}`, value: formatCurrency(room.price, resort.currency), source: room.source! })} className="text-slate-300 hover:text-blue-600 transition-colors">
+                                              <FileSearch className="w-3.5 h-3.5" />
+                                            </button>
+                                          )}
+                                        </span>
+                                      </div>
+                                      {editMode ? (
+                                        <OccupancyEditor
+                                          rules={{ ...MykishQuoteEngine.DEFAULT_OCCUPANCY, ...room.occupancy }}
+                                          onEdit={(field, value) => editOccupancy(lIdx, rIdx, rmIdx, field, value)}
+                                        />
+                                      ) : room.occupancy && (
+                                        <p className="mt-2 text-[10px] font-medium text-slate-400">
+                                          Max {room.occupancy.maxAdults} adults / {room.occupancy.maxOccupancy} guests
+                                          {room.occupancy.extraAdultRate != null && ` · extra bed ${formatCurrency(room.occupancy.extraAdultRate, resort.currency)}`}
+                                          {room.occupancy.childBands?.map(b => ` · child ${b.minAge}-${b.maxAge} ${b.rate ? formatCurrency(b.rate, resort.currency) : 'free'}`).join('')}
+                                        </p>
+                                      )}
+                                      {editMode ? (
+                                        <div className="mt-3 space-y-1">
+                                          {(room.periods || []).map((p, pIdx) => (
+                                            <div key={pIdx} className="flex flex-wrap items-center gap-1">
+                                              <input type="date" value={p.start} onChange={e => e.target.value && editPeriod(lIdx, rIdx, rmIdx, pIdx, 'start', e.target.value)} className={EDIT_FIELD} title="First night" />
+                                              <input type="date" value={p.end} onChange={e => e.target.value && editPeriod(lIdx, rIdx, rmIdx, pIdx, 'end', e.target.value)} className={EDIT_FIELD} title="Last night" />
+                                              <EditableCell type="number" value={p.rate} onCommit={v => editPeriod(lIdx, rIdx, rmIdx, pIdx, 'rate', v)} className="w-20 text-[10px] font-black text-right" />
+                                              <select value={p.basis} onChange={e => editPeriod(lIdx, rIdx, rmIdx, pIdx, 'basis', e.target.value)} className={EDIT_FIELD}>
+                                                <option value="per_room">/ room</option>
+                                                <option value="per_person">/ pp</option>
+                                              </select>
+                                              <label className="text-[9px] font-black text-slate-400 uppercase flex items-center gap-1">Min
+                                                <EditableCell type="number" value={p.minNights ?? 0} onCommit={v => editPeriod(lIdx, rIdx, rmIdx, pIdx, 'minNights', v)} className="w-10 text-[10px] font-bold" />
+                                              </label>
+                                              <button onClick={() => removePeriod(lIdx, rIdx, rmIdx, pIdx)} className="text-slate-300 hover:text-red-500 transition-colors" title="Remove season">
+                                                <X className="w-3 h-3" />
+                                              </button>
+                                            </div>
+                                          ))}
+                                          <button onClick={() => addPeriod(lIdx, rIdx, rmIdx)} className="text-[9px] font-black uppercase text-blue-600">+ Add Season</button>
+                                        </div>
+                                      ) : room.periods && room.periods.length > 0 && (
+                                        <div className="mt-3 space-y-1">
+                                          {room.periods.map((p, pIdx) => (
+                                            <div key={pIdx} className="flex justify-between text-[10px] font-medium text-slate-500">
+                                              <span>{p.start} → {p.end}</span>
+                                              <span className="flex items-center gap-2">
+                                                <span className="font-bold text-slate-700">{formatCurrency(p.rate, resort.currency)} <span className="text-slate-400 font-medium">{p.basis === 'per_person' ? '/ pp' : '/ room'}</span></span>
+                                                {p.source && (
+                                                  <button title={`${p.source.file} p.${p.source.page}`} onClick={() => setSourceView({ label: `${resort.resortName} · ${room.type} · ${p.start} → ${p.end}`, value: formatCurrency(p.rate, resort.currency), source: p.source! })} className="text-slate-300 hover:text-blue-600 transition-colors">
+                                                    <FileSearch className="w-3 h-3" />
+                                                  </button>
+                                                )}
+                                              </span>
+                                            </div>
+                                          ))}
+                                        </div>
+                                      )}
                                     </div>
                                   ))}
+                                  {editMode && (
+                                    <button onClick={() => addItem(lIdx, rIdx, 'rooms')} className="w-full text-[10px] font-black text-blue-600 uppercase tracking-widest py-2 rounded-xl border border-dashed border-blue-200 hover:bg-blue-50 transition-colors">
+                                      + Add Room
+                                    </button>
+                                  )}
                                 </div>
                               </div>
 
+                              {(editMode || (resort.mealPlans && resort.mealPlans.length > 0)) && (
+                                <div>
+                                  <div className="flex items-center justify-between mb-3">
+                                    <p className="text-[9px] font-black text-slate-400 uppercase tracking-widest">Board Basis</p>
+                                    <div className="h-px bg-slate-100 flex-1 ml-4"></div>
+                                  </div>
+                                  <div className="space-y-1">
+                                    {(resort.mealPlans || []).map((mp, mIdx) => (
+                                      <div key={mIdx} className="flex justify-between items-center px-2 py-2 rounded-lg hover:bg-slate-50 transition-colors">
+                                        {editMode ? (
+                                          <>
+                                            <div className="flex items-center gap-2 flex-1 min-w-0">
+                                              <select value={mp.code} onChange={e => editItem(lIdx, rIdx, 'mealPlans', mIdx, 'code', e.target.value)} className={EDIT_FIELD}>
+                                                {BOARD_CODES.map(code => <option key={code} value={code}>{code}</option>)}
+                                              </select>
+                                              <EditableCell value={mp.name} onCommit={v => editItem(lIdx, rIdx, 'mealPlans', mIdx, 'name', v)} className="flex-1 min-w-0 text-xs font-medium" />
+                                            </div>
+                                            <span className="flex items-center gap-2 ml-2">
+                                              <EditableCell type="number" value={mp.adultRate} onCommit={v => editItem(lIdx, rIdx, 'mealPlans', mIdx, 'adultRate', v)} className="w-20 text-[11px] font-black text-right" />
+                                              <button onClick={() => removeItem(lIdx, rIdx, 'mealPlans', mIdx)} className="text-slate-300 hover:text-red-500 transition-colors" title="Remove meal plan">
+                                                <X className="w-3 h-3" />
+                                              </button>
+                                            </span>
+                                          </>
+                                        ) : (
+                                          <>
+                                            <div className="flex items-center gap-3">
+                                              <span className="text-[8px] font-black bg-slate-100 text-slate-500 px-1.5 py-0.5 rounded-md uppercase tracking-tighter">{mp.code}</span>
+                                              <span className="text-xs font-medium text-slate-600">{mp.name}</span>
+                                            </div>
+                                            <span className={`text-[11px] font-black ${mp.adultRate === 0 ? 'text-slate-300' : 'text-slate-700'}`}>
+                                              {mp.adultRate === 0 ? 'Base' : `+${formatCurrency(mp.adultRate, resort.currency)} pp/night`}
+                                            </span>
+                                          </>
+                                        )}
+                                      </div>
+                                    ))}
+                                    {editMode && (
+                                      <button onClick={() => addItem(lIdx, rIdx, 'mealPlans')} className="w-full text-[10px] font-black text-blue-600 uppercase tracking-widest py-2 mt-2 rounded-xl border border-dashed border-blue-200 hover:bg-blue-50 transition-colors">
+                                        + Add Meal Plan
+                                      </button>
+                                    )}
+                                  </div>
+                                </div>
+                              )}
+
+                              {(editMode || (resort.promotions && resort.promotions.length > 0)) && (
+                                <div>
+                                  <div className="flex items-center justify-between mb-3">
+                                    <p className="text-[9px] font-black text-slate-400 uppercase tracking-widest">Promotions</p>
+                                    <div className="h-px bg-slate-100 flex-1 ml-4"></div>
+                                  </div>
+                                  <div className="space-y-1">
+                                    {(resort.promotions || []).map((promo, pIdx) => (
+                                      <div key={pIdx} className="px-2 py-2 rounded-lg hover:bg-slate-50 transition-colors">
+                                        {editMode ? (
+                                          <PromotionEditor
+                                            promo={promo}
+                                            others={resort.promotions!.filter((_, i) => i !== pIdx).map(p => p.name)}
+                                            onEdit={(field, value) => editItem(lIdx, rIdx, 'promotions', pIdx, field, value)}
+                                            onRemove={() => removeItem(lIdx, rIdx, 'promotions', pIdx)}
+                                          />
+                                        ) : (
+                                          <>
+                                            <div className="flex justify-between items-center">
+                                              <span className="text-xs font-medium text-slate-600">{promo.name}</span>
+                                              <span className="text-[11px] font-black text-emerald-600">
+                                                {promo.type === 'stay_pay' ? `Stay ${promo.stayNights} Pay ${promo.payNights}` : promo.discountPercent ? `-${promo.discountPercent}%` : 'Perks'}
+                                              </span>
+                                            </div>
+                                            {promo.combinableWith && promo.combinableWith.length > 0 && (
+                                              <p className="text-[10px] text-slate-400 mt-1">Combines with {promo.combinableWith.join(', ')}</p>
+                                            )}
+                                          </>
+                                        )}
+                                      </div>
+                                    ))}
+                                    {editMode && (
+                                      <button onClick={() => addItem(lIdx, rIdx, 'promotions')} className="w-full text-[10px] font-black text-blue-600 uppercase tracking-widest py-2 mt-2 rounded-xl border border-dashed border-blue-200 hover:bg-blue-50 transition-colors">
+                                        + Add Promotion
+                                      </button>
+                                    )}
+                                  </div>
+                                </div>
+                              )}
+
                               <div>
                                 <div className="flex items-center justify-between mb-3">
                                   <p className="text-[9px] font-black text-slate-400 uppercase tracking-widest">Ancillary Services</p>
@@ -489,28 +2684,124 @@ The locationType should be "Bundle" if the Finland Rule is applied, and "Compone
                                 </div>
                                 <div className="space-y-1">
                                   {resort.activities.map((act, aIdx) => (
-                                    <div key={aIdx} className="flex justify-between items-center px-2 py-2 rounded-lg hover:bg-slate-50 transition-colors">
-                                      <div className="flex items-center gap-3">
-                                        <div className={`w-1.5 h-1.5 rounded-full ${act.isIncluded ? 'bg-blue-400' : 'bg-slate-200'}`}></div>
-                                        <span className="text-xs font-medium text-slate-600">{act.name}</span>
-                                        {act.isIncluded && (
-                                          <span className="text-[8px] font-black bg-blue-50 text-blue-600 px-1.5 py-0.5 rounded-md uppercase tracking-tighter">Included</span>
-                                        )}
-                                      </div>
-                                      <span className={`text-[11px] font-black ${act.price === 0 ? 'text-slate-300' : 'text-slate-700'}`}>
-                                        {act.price === 0 ? '—' : formatCurrency(act.price, resort.currency)}
-                                      </span>
+                                    <div key={aIdx} className={`flex justify-between items-center px-2 py-2 rounded-lg hover:bg-slate-50 transition-colors ${ROW_TONE.activity[rowLevel(`${resortPath}.activities[${aIdx}]`)]}`}>
+                                      {editMode ? (
+                                        <>
+                                          <div className="flex items-center gap-2 flex-1 min-w-0">
+                                            <input type="checkbox" checked={act.isIncluded} onChange={e => editItem(lIdx, rIdx, 'activities', aIdx, 'isIncluded', e.target.checked)} title="Included in rate" />
+                                            <EditableCell value={act.name} onCommit={v => editItem(lIdx, rIdx, 'activities', aIdx, 'name', v)} className="flex-1 min-w-0 text-xs font-medium" />
+                                          </div>
+                                          <span className="flex items-center gap-2 ml-2">
+                                            <select value={act.unit || 'per_person'} onChange={e => editItem(lIdx, rIdx, 'activities', aIdx, 'unit', e.target.value)} className={EDIT_FIELD} title="Priced">
+                                              {Object.entries(ACTIVITY_UNIT_LABEL).map(([unit, text]) => <option key={unit} value={unit}>{text}</option>)}
+                                            </select>
+                                            <EditableCell type="number" value={act.price} onCommit={v => editItem(lIdx, rIdx, 'activities', aIdx, 'price', v)} className="w-20 text-[11px] font-black text-right" />
+                                            {act.unit !== 'per_booking' && (
+                                              <label className="text-[9px] font-black text-slate-400 uppercase flex items-center gap-1">Child
+                                                <EditableCell type="number" value={act.childPrice ?? act.price} onCommit={v => editItem(lIdx, rIdx, 'activities', aIdx, 'childPrice', v)} className="w-16 text-[10px] font-bold" />
+                                              </label>
+                                            )}
+                                            <button onClick={() => removeItem(lIdx, rIdx, 'activities', aIdx)} className="text-slate-300 hover:text-red-500 transition-colors" title="Remove activity">
+                                              <X className="w-3 h-3" />
+                                            </button>
+                                          </span>
+                                        </>
+                                      ) : (
+                                        <>
+                                          <div className="flex items-center gap-3">
+                                            <div className={`w-1.5 h-1.5 rounded-full ${act.isIncluded ? 'bg-blue-400' : 'bg-slate-200'}`}></div>
+                                            <span className="text-xs font-medium text-slate-600">{act.name}</span>
+                                            {act.isIncluded && (
+                                              <span className="text-[8px] font-black bg-blue-50 text-blue-600 px-1.5 py-0.5 rounded-md uppercase tracking-tighter">Included</span>
+                                            )}
+                                            {act.origin === 'manual' && <span className="text-[8px] font-black bg-amber-50 text-amber-600 px-1.5 py-0.5 rounded-md uppercase tracking-tighter">Manual</span>}
+                                            {act.correctedFields && act.correctedFields.length > 0 && <span title={`Corrected: ${act.correctedFields.join(', ')}`} className="text-[8px] font-black bg-amber-50 text-amber-600 px-1.5 py-0.5 rounded-md uppercase tracking-tighter">Corrected</span>}
+                                            {act.custom && <span title={customSummary(act.custom)} className="text-[8px] font-black bg-blue-50 text-blue-600 px-1.5 py-0.5 rounded-md uppercase tracking-tighter">Custom</span>}
+                                          </div>
+                                          <span className={`text-[11px] font-black ${act.price === 0 ? 'text-slate-300' : 'text-slate-700'}`}>
+                                            {act.price === 0 ? '—' : formatCurrency(act.price, resort.currency)}
+                                            {act.source && (
+                                              <button title={`${act.source.file} p.${act.source.page}`} onClick={() => setSourceView({ label: `${resort.resortName} · ${act.name}`, value: act.price === 0 ? 'Included' : formatCurrency(act.price, resort.currency), source: act.source! })} className="ml-2 align-middle text-slate-300 hover:text-blue-600 transition-colors">
+                                                <FileSearch className="w-3 h-3 inline" />
+                                              </button>
+                                            )}
+                                          </span>
+                                        </>
+                                      )}
                                     </div>
                                   ))}
+                                  {editMode && (
+                                    <button onClick={() => addItem(lIdx, rIdx, 'activities')} className="w-full text-[10px] font-black text-blue-600 uppercase tracking-widest py-2 mt-2 rounded-xl border border-dashed border-blue-200 hover:bg-blue-50 transition-colors">
+                                      + Add Activity
+                                    </button>
+                                  )}
                                 </div>
                               </div>
+
+                              <ChargeList
+                                charges={resort.charges || []}
+                                currency={resort.currency}
+                                path={resortPath}
+                                report={report}
+                                editMode={editMode}
+                                onEdit={(i, field, value) => editItem(lIdx, rIdx, 'charges', i, field, value)}
+                                onAdd={() => addItem(lIdx, rIdx, 'charges')}
+                                onRemove={i => removeItem(lIdx, rIdx, 'charges', i)}
+                                onSource={c => setSourceView({ label: `${resort.resortName} · ${c.name}`, value: chargeAmount(c, resort.currency), source: c.source! })}
+                              />
+
+                              {resortIssues.length > 0 && (
+                                <div className="space-y-1.5 bg-slate-50 rounded-2xl p-4">
+                                  <p className="text-[9px] font-black text-slate-400 uppercase tracking-widest mb-2">Checks</p>
+                                  {resortIssues.map((issue, iIdx) => (
+                                    <div key={iIdx} className="flex items-start gap-2">
+                                      <AlertCircle className={`w-3 h-3 mt-0.5 shrink-0 ${issue.level === 'error' ? 'text-red-500' : 'text-amber-500'}`} />
+                                      <p className={`text-[10px] font-medium ${issue.level === 'error' ? 'text-red-700' : 'text-amber-700'}`}>{issue.message}</p>
+                                    </div>
+                                  ))}
+                                </div>
+                              )}
                             </div>
                           </div>
-                        ))}
+                          );
+                        })}
                       </div>
                     </div>
                   ))}
+
+                  {result.audit && result.audit.length > 0 && (
+                    <div className="bg-white border border-slate-200 rounded-3xl p-6 shadow-sm">
+                      <button onClick={() => setShowAudit(!showAudit)} className="w-full flex items-center justify-between">
+                        <span className="text-[10px] font-black text-slate-400 uppercase tracking-widest">Audit Trail ({result.audit.length} corrections)</span>
+                        <ChevronRight className={`w-4 h-4 text-slate-400 transition-transform ${showAudit ? 'rotate-90' : ''}`} />
+                      </button>
+                      {showAudit && (
+                        <div className="mt-4 space-y-2 max-h-[400px] overflow-y-auto custom-scrollbar">
+                          {[...result.audit].reverse().map(entry => (
+                            <div key={entry.id} className="grid grid-cols-12 gap-3 text-[10px] border-b border-slate-50 pb-2">
+                              <span className="col-span-3 text-slate-400">{new Date(entry.at).toLocaleString()}</span>
+                              <span className="col-span-2 font-bold text-slate-600 truncate">{entry.by}</span>
+                              <span className="col-span-4 text-slate-600 truncate" title={entry.target}>{entry.target} · <span className="font-bold">{entry.field}</span></span>
+                              <span className="col-span-3 text-right font-mono">
+                                {entry.action === 'add' ? <span className="text-emerald-600">+ {String(entry.newValue)}</span>
+                                  : entry.action === 'remove' ? <span className="text-red-600">− {String(entry.oldValue)}</span>
+                                  : <><span className="text-slate-400 line-through">{String(entry.oldValue)}</span> → <span className="text-slate-900 font-bold">{String(entry.newValue)}</span></>}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </div>
+              ) : activeTab === 'compare' ? (
+                <ResortComparison result={result} />
+              ) : activeTab === 'versions' ? (
+                <VersionHistory
+                  result={result}
+                  fileNames={files.filter(f => f.status === 'completed').map(f => f.file.name)}
+                  onRestore={data => { setResult(data); setEditMode(false); setActiveTab('preview'); }}
+                />
               ) : (
                 <div className="bg-slate-900 rounded-3xl p-8 overflow-hidden shadow-2xl relative group">
                    <div className="absolute top-6 right-6 flex items-center gap-2">
@@ -531,6 +2822,14 @@ The locationType should be "Bundle" if the Finland Rule is applied, and "Compone
         </section>
       </main>
 
+      {sourceView && (
+        <SourceViewer
+          view={sourceView}
+          file={files.find(f => f.file.name === sourceView.source.file)?.file}
+          onClose={() => setSourceView(null)}
+        />
+      )}
+
       {/* Global CSS */}
       <style>{`
         .custom-scrollbar::-webkit-scrollbar {
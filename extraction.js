@@ -0,0 +1,411 @@
+/**
+ * Extraction pipeline of the Analyst Portal without the UI: merging per-file results, structural
+ * and business-rule validation, the fixture replay provider and the local rate sheet parser.
+ *
+ * No React, Gemini or PDF.js here, so a recorded extraction can be replayed end to end under
+ * Node. Results follow the portal's ExtractionResult shape (locations → resorts → rooms,
+ * activities, meal plans, promotions and charges).
+ * Loaded as a plain <script> (window.MykishExtraction) or imported as a CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.MykishExtraction = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const sameKey = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+    // Merges list items by key; the first file to mention an item wins, later duplicates are dropped
+    const mergeBy = (a = [], b = [], key) => [
+        ...a,
+        ...b.filter(item => !a.some(existing => sameKey(key(existing), key(item))))
+    ];
+
+    // Combines per-file results: locations by name, resorts by name, then rooms (with their
+    // season periods), activities, meal plans, promotions and charges by their names.
+    function mergeResults(results) {
+        const locations = [];
+        results.forEach(res => (res.locations || []).forEach(loc => {
+            const target = locations.find(l => sameKey(l.name, loc.name));
+            if (!target) {
+                locations.push({ ...loc, resorts: [...(loc.resorts || [])] });
+                return;
+            }
+            if (loc.charges) target.charges = mergeBy(target.charges, loc.charges, c => c.name);
+            (loc.resorts || []).forEach(resort => {
+                const idx = target.resorts.findIndex(r => sameKey(r.resortName, resort.resortName));
+                if (idx === -1) {
+                    target.resorts.push(resort);
+                    return;
+                }
+                const existing = target.resorts[idx];
+                target.resorts[idx] = {
+                    ...existing,
+                    rooms: mergeBy(existing.rooms, resort.rooms, r => r.type).map(room => {
+                        const other = (resort.rooms || []).find(r => sameKey(r.type, room.type));
+                        if (!other || other === room) return room;
+                        return { ...room, periods: mergeBy(room.periods, other.periods, p => `${p.start}|${p.end}`) };
+                    }),
+                    activities: mergeBy(existing.activities, resort.activities, a => a.name),
+                    mealPlans: mergeBy(existing.mealPlans, resort.mealPlans, m => m.code),
+                    promotions: mergeBy(existing.promotions, resort.promotions, p => p.name),
+                    charges: mergeBy(existing.charges, resort.charges, c => c.name)
+                };
+            });
+        }));
+        return { locations, audit: results.flatMap(res => res.audit || []) };
+    }
+
+    // Reviewed items in their order, each merged with the fresh item of the same key, then new fresh items.
+    // `merge` gets no fresh item when the re-run did not produce it and may drop the reviewed one.
+    const overlayBy = (reviewed = [], fresh = [], key, merge) => [
+        ...reviewed.map(prev => merge(prev, fresh.find(item => sameKey(key(item), key(prev))))).filter(item => item !== undefined),
+        ...fresh.filter(item => !reviewed.some(prev => sameKey(key(prev), key(item))))
+    ];
+
+    /**
+     * Folds a re-extraction of some files into data a reviewer has already worked on. Fresh values
+     * replace extracted ones field by field, except the fields a reviewer corrected; manually added
+     * items are kept as entered. Reviewed items that came from a re-run file and are no longer in
+     * it are dropped, items from the other files stay as they are.
+     */
+    function mergeReviewed(reviewed, fresh, fileNames) {
+        const next = mergeResults(fresh);
+        const item = (prev, found) => {
+            if (!found) return prev.origin !== 'manual' && prev.source && fileNames.includes(prev.source.file) ? undefined : prev;
+            if (prev.origin === 'manual') return prev;
+            if (!prev.correctedFields?.length) return found;
+            return { ...found, ...Object.fromEntries(prev.correctedFields.map(f => [f, prev[f]])), correctedFields: prev.correctedFields };
+        };
+        const room = (prev, found) => {
+            const merged = item(prev, found);
+            if (!merged || !found || merged === prev || merged.correctedFields?.includes('periods') || !(prev.periods || found.periods)) return merged;
+            return { ...merged, periods: overlayBy(prev.periods, found.periods, p => `${p.start}|${p.end}`, item) };
+        };
+        const resort = (prev, found) => ({
+            ...(found ? item(prev, found) : prev),
+            rooms: overlayBy(prev.rooms, found?.rooms, r => r.type, room),
+            activities: overlayBy(prev.activities, found?.activities, a => a.name, item),
+            mealPlans: overlayBy(prev.mealPlans, found?.mealPlans, m => m.code, item),
+            promotions: overlayBy(prev.promotions, found?.promotions, p => p.name, item),
+            charges: overlayBy(prev.charges, found?.charges, c => c.name, item)
+        });
+        const locations = overlayBy(reviewed.locations, next.locations, l => l.name, (prev, found) => ({
+            ...prev,
+            charges: overlayBy(prev.charges, found?.charges, c => c.name, item),
+            resorts: overlayBy(prev.resorts, found?.resorts, r => r.resortName, resort)
+        }));
+        return { locations, audit: reviewed.audit };
+    }
+
+    // --- Validation ---
+
+    const ISO_CURRENCIES = new Set(
+        typeof Intl.supportedValuesOf === 'function'
+            ? Intl.supportedValuesOf('currency')
+            : ['USD', 'EUR', 'GBP', 'AUD', 'INR', 'CHF', 'CAD', 'NZD', 'SGD', 'AED', 'MVR', 'SCR', 'KES', 'TZS', 'ZAR', 'SEK', 'NOK', 'DKK', 'JPY']
+    );
+
+    const OUTLIER_FACTOR = 3;
+
+    const isObject = (v) => typeof v === 'object' && v !== null && !Array.isArray(v);
+    const isText = (v) => typeof v === 'string' && v.trim().length > 0;
+    const isAmount = (v) => typeof v === 'number' && Number.isFinite(v);
+
+    const CHARGE_KINDS = ['tax', 'service', 'fee', 'surcharge'];
+    const CHARGE_BASES = ['per_person_per_night', 'per_person', 'per_room_per_night', 'per_booking', 'percent'];
+    const CHARGE_BASE_PARTS = ['stay', 'board', 'extras', 'surcharges', 'service'];
+
+    // Charges are optional, but the quote engine cannot price one without a kind, basis and amount
+    const checkCharges = (charges, path, fail) => {
+        if (charges === undefined) return;
+        if (!Array.isArray(charges)) return fail(`${path}.charges`, 'Charges is not an array');
+        charges.forEach((c, i) => {
+            const cp = `${path}.charges[${i}]`;
+            if (!isObject(c) || !isText(c.name)) fail(cp, 'Charge name is missing');
+            else if (!isAmount(c.amount)) fail(`${cp}.amount`, `Amount for "${c.name}" is not a number`);
+            else if (!CHARGE_KINDS.includes(c.kind)) fail(`${cp}.kind`, `Unknown charge kind "${c.kind}"`);
+            else if (!CHARGE_BASES.includes(c.basis)) fail(`${cp}.basis`, `Unknown charge basis "${c.basis}"`);
+        });
+    };
+
+    // Shape checks only: anything reported here makes the data unusable downstream
+    function checkStructure(data) {
+        const issues = [];
+        const fail = (path, message) => issues.push({ level: 'error', path, message });
+
+        if (!isObject(data) || !Array.isArray(data.locations)) {
+            fail('locations', 'Response has no locations array');
+            return issues;
+        }
+        data.locations.forEach((loc, l) => {
+            const lp = `locations[${l}]`;
+            if (!isObject(loc)) return fail(lp, 'Location is not an object');
+            if (!isText(loc.name)) fail(`${lp}.name`, 'Location name is missing');
+            checkCharges(loc.charges, lp, fail);
+            if (!Array.isArray(loc.resorts)) return fail(`${lp}.resorts`, 'Location has no resorts array');
+            loc.resorts.forEach((resort, r) => {
+                const rp = `${lp}.resorts[${r}]`;
+                if (!isObject(resort)) return fail(rp, 'Resort is not an object');
+                if (!isText(resort.resortName)) fail(`${rp}.resortName`, 'Resort name is missing');
+                if (!isText(resort.currency)) fail(`${rp}.currency`, 'Currency is missing');
+                if (resort.locationType !== 'Component' && resort.locationType !== 'Bundle') fail(`${rp}.locationType`, `Unknown location type "${resort.locationType}"`);
+                if (!Array.isArray(resort.rooms)) fail(`${rp}.rooms`, 'Resort has no rooms array');
+                else resort.rooms.forEach((room, i) => {
+                    if (!isObject(room) || !isText(room.type)) fail(`${rp}.rooms[${i}]`, 'Room type is missing');
+                    else if (!isAmount(room.price)) fail(`${rp}.rooms[${i}].price`, `Price for "${room.type}" is not a number`);
+                });
+                if (!Array.isArray(resort.activities)) fail(`${rp}.activities`, 'Resort has no activities array');
+                else resort.activities.forEach((act, i) => {
+                    if (!isObject(act) || !isText(act.name)) fail(`${rp}.activities[${i}]`, 'Activity name is missing');
+                    else if (!isAmount(act.price)) fail(`${rp}.activities[${i}].price`, `Price for "${act.name}" is not a number`);
+                    else if (typeof act.isIncluded !== 'boolean') fail(`${rp}.activities[${i}].isIncluded`, `"${act.name}" has no included flag`);
+                });
+                checkCharges(resort.charges, rp, fail);
+            });
+        });
+        return issues;
+    }
+
+    const median = (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    };
+
+    // Business rules on structurally sound data
+    function checkBusinessRules(data) {
+        const issues = [];
+        const add = (level, path, message) => issues.push({ level, path, message });
+        const checkChargeRules = (charges = [], path) => charges.forEach((c, i) => {
+            const cp = `${path}.charges[${i}]`;
+            if (c.amount < 0 || (c.childAmount ?? 0) < 0) add('error', `${cp}.amount`, `Charge "${c.name}" has a negative amount`);
+            if (c.basis === 'percent' && c.amount > 100) add('error', `${cp}.amount`, `Charge "${c.name}" is over 100%`);
+            if (c.basis === 'percent' && c.childAmount !== undefined) add('warning', `${cp}.childAmount`, `Percent charge "${c.name}" ignores its child amount`);
+            if (c.start && c.end && c.end < c.start) add('error', `${cp}`, `Charge "${c.name}" ends (${c.end}) before it starts (${c.start})`);
+            if (c.kind === 'surcharge' && !c.start && !c.end) add('warning', `${cp}`, `Surcharge "${c.name}" has no dates, so every stay pays it`);
+        });
+
+        data.locations.forEach((loc, l) => checkChargeRules(loc.charges, `locations[${l}]`));
+        data.locations.forEach((loc, l) => loc.resorts.forEach((resort, r) => {
+            const rp = `locations[${l}].resorts[${r}]`;
+            if (!ISO_CURRENCIES.has(resort.currency.toUpperCase())) {
+                add('error', `${rp}.currency`, `"${resort.currency}" is not an ISO-4217 currency code`);
+            }
+            if (resort.validFrom && resort.validTo && resort.validTo < resort.validFrom) {
+                add('error', `${rp}.validTo`, `Contract validity ends (${resort.validTo}) before it starts (${resort.validFrom})`);
+            }
+            (resort.blackouts || []).forEach((b, i) => {
+                if (b.end < b.start) add('error', `${rp}.blackouts[${i}]`, `Blackout ${b.start} → ${b.end} ends before it starts`);
+            });
+
+            const seen = new Set();
+            resort.rooms.forEach((room, i) => {
+                const key = room.type.trim().toLowerCase();
+                if (seen.has(key)) add('warning', `${rp}.rooms[${i}].type`, `Duplicate room type "${room.type}"`);
+                seen.add(key);
+                if (room.price <= 0) add('error', `${rp}.rooms[${i}].price`, `"${room.type}" has a ${room.price < 0 ? 'negative' : 'zero'} price`);
+                (room.periods || []).forEach((p, pIdx) => {
+                    if (p.rate <= 0) add('error', `${rp}.rooms[${i}].periods[${pIdx}].rate`, `"${room.type}" season ${p.start} → ${p.end} has a non-positive rate`);
+                    if (p.end < p.start) add('error', `${rp}.rooms[${i}].periods[${pIdx}]`, `"${room.type}" season ends before it starts`);
+                });
+            });
+
+            const prices = resort.rooms.map(rm => rm.price).filter(p => p > 0);
+            if (prices.length >= 3) {
+                const mid = median(prices);
+                resort.rooms.forEach((room, i) => {
+                    if (room.price > 0 && (room.price > mid * OUTLIER_FACTOR || room.price < mid / OUTLIER_FACTOR)) {
+                        add('warning', `${rp}.rooms[${i}].price`, `"${room.type}" is ${(room.price / mid).toFixed(1)}x the resort median rate`);
+                    }
+                });
+            }
+
+            resort.activities.forEach((act, i) => {
+                if (act.price < 0) add('error', `${rp}.activities[${i}].price`, `"${act.name}" has a negative price`);
+                if (resort.locationType === 'Bundle' && !act.isIncluded) {
+                    add('warning', `${rp}.activities[${i}].isIncluded`, `Bundle resort activity "${act.name}" is not marked included`);
+                }
+            });
+            checkChargeRules(resort.charges, rp);
+        }));
+        return issues;
+    }
+
+    /**
+     * Structure first; business rules only run on data that passed it.
+     *
+     * @returns {{ issues: { level: 'error'|'warning', path: string, message: string }[], errorCount: number, warningCount: number }}
+     */
+    function validateExtraction(data) {
+        const structural = checkStructure(data);
+        const issues = structural.length > 0 ? structural : checkBusinessRules(data);
+        return {
+            issues,
+            errorCount: issues.filter(i => i.level === 'error').length,
+            warningCount: issues.filter(i => i.level === 'warning').length
+        };
+    }
+
+    // --- Providers ---
+
+    // The model only knows page and snippet; the file name comes from the upload itself
+    function stampSources(data, fileName) {
+        const stamp = (item) => item.source ? { ...item, source: { ...item.source, file: fileName } } : item;
+        return {
+            locations: data.locations.map(loc => ({
+                ...loc,
+                ...(loc.charges ? { charges: loc.charges.map(stamp) } : {}),
+                resorts: loc.resorts.map(resort => ({
+                    ...resort,
+                    rooms: resort.rooms.map(room => stamp({ ...room, periods: room.periods?.map(stamp) })),
+                    activities: resort.activities.map(stamp),
+                    ...(resort.charges ? { charges: resort.charges.map(stamp) } : {})
+                }))
+            }))
+        };
+    }
+
+    // Replays the response recorded for a file name ({ fileName, response } records)
+    const createMockProvider = (fixtures) => ({
+        id: 'mock',
+        retryable: false,
+        extract: async (file) => {
+            const fixture = fixtures.find(f => f.fileName === file.name);
+            if (!fixture) throw new Error(`No recorded response for "${file.name}". Record one with Gemini or import a fixture file.`);
+            return structuredClone(fixture.response);
+        }
+    });
+
+    const DATE_CELL = /^(\d{4}-\d{2}-\d{2}|\d{1,2}[./]\d{1,2}[./]\d{4})$/;
+    const DATES_IN_CELL = /\d{4}-\d{2}-\d{2}|\d{1,2}[./]\d{1,2}[./]\d{4}/g;
+
+    const toIsoDate = (text) => {
+        if (/^\d{4}-/.test(text)) return text;
+        const [d, m, y] = text.split(/[./]/);
+        return `${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}`;
+    };
+
+    // "1,250.00", "USD 450", "€ 90" -> number; anything else -> null
+    const parseAmountCell = (cell) => {
+        const m = cell.replace(/^([A-Z]{3}|[$€£₹])\s*/, '').match(/^(\d[\d,]*(?:\.\d+)?)$/);
+        return m ? parseFloat(m[1].replace(/,/g, '')) : null;
+    };
+
+    /**
+     * Reads a table-style rate sheet: "Label: value" lines for resort, location and currency,
+     * heading rows that switch between rooms and activities, and rows whose last cell is a price.
+     * A room row with a date range becomes a season of that room; tax, levy and service charge rows
+     * (amounts or percentages) become resort charges.
+     *
+     * @param {{ page: number, text: string }[]} lines  Visual lines of the PDF text layer, cells joined with " | ".
+     * @param {string} fileName
+     * @param {object} profile  Rule profile; its destination and packaging are used.
+     */
+    function parseRateSheetText(lines, fileName, profile) {
+        let locationName = profile.destination;
+        let resortName = '';
+        let currency = '';
+        let section = 'rooms';
+        const rooms = [];
+        const activities = [];
+        const charges = [];
+        const bundle = profile.packaging === 'Bundle';
+
+        lines.forEach(({ page, text }) => {
+            const source = { file: fileName, page, snippet: text.slice(0, 200) };
+            const plain = text.replace(/\s*\|\s*/g, ' ').trim();
+            const label = plain.match(/^(resort|hotel|property|location|destination|currency)\s*:\s*(.+)$/i);
+            if (label) {
+                const [, key, value] = label;
+                if (/currency/i.test(key)) currency = value.trim().toUpperCase();
+                else if (/location|destination/i.test(key)) locationName = locationName || value.trim();
+                else resortName = value.trim();
+                return;
+            }
+            if (!currency) currency = plain.split(/[^A-Z]+/).find(token => ISO_CURRENCIES.has(token)) || '';
+
+            const cells = text.split('|').map(c => c.trim()).filter(Boolean);
+            const percent = cells.length >= 2 ? cells[cells.length - 1].match(/^(\d+(?:\.\d+)?)\s*%$/) : null;
+            const amount = cells.length >= 2 ? (percent ? parseFloat(percent[1]) : parseAmountCell(cells[cells.length - 1])) : null;
+            if (amount === null) {
+                if (/activit|excursion|transfer|extra|supplement|tax|levy/i.test(plain)) section = 'activities';
+                else if (/room|villa|suite|accommodation|lodge|cabin|tent|chalet/i.test(plain)) section = 'rooms';
+                return;
+            }
+            const name = cells.slice(0, -1).find(c => !DATE_CELL.test(c) && !(c.match(DATES_IN_CELL)?.length));
+            if (!name) return;
+            const dates = (cells.slice(0, -1).join(' ').match(DATES_IN_CELL) || []).map(toIsoDate);
+
+            if (section === 'rooms') {
+                let room = rooms.find(r => sameKey(r.type, name));
+                if (!room) rooms.push(room = { type: name, price: amount, source });
+                if (dates.length >= 2) {
+                    const basis = /per person|\bpp\b|pppn/i.test(plain) ? 'per_person' : 'per_room';
+                    room.periods = [...(room.periods || []), { start: dates[0], end: dates[1], rate: amount, basis, source }];
+                }
+                return;
+            }
+            const unit = /per night|pppn|nightly/i.test(plain) ? 'per_person_per_night' : /per booking|per room|per stay/i.test(plain) ? 'per_booking' : 'per_person';
+            if (/tax|levy|gst|vat|service charge/i.test(name)) {
+                charges.push({ name, kind: /service/i.test(name) ? 'service' : 'tax', basis: percent ? 'percent' : unit, amount, source });
+                return;
+            }
+            if (percent) return;
+            const included = bundle || amount === 0 || /included|inclusive|complimentary/i.test(plain);
+            activities.push({
+                name,
+                price: included ? 0 : amount,
+                isIncluded: included,
+                unit,
+                category: /transfer|seaplane|speedboat|flight/i.test(name) ? 'transfer' : 'excursion',
+                source
+            });
+        });
+
+        if (rooms.length === 0) throw new Error('No rate table found in the PDF text layer. Scanned or free-text contracts need the Gemini provider.');
+        return {
+            locations: [{
+                name: locationName || 'Unknown',
+                resorts: [{
+                    resortName: resortName || fileName.replace(/\.pdf$/i, ''),
+                    currency: currency || 'USD',
+                    locationType: bundle ? 'Bundle' : 'Component',
+                    rooms,
+                    activities,
+                    ...(charges.length ? { charges } : {})
+                }]
+            }]
+        };
+    }
+
+    /**
+     * Runs one file through a provider ({ extract(file, profile) }), optionally recording the raw
+     * response. A malformed response throws so the caller can retry; business-rule issues are
+     * left for validateExtraction and the reviewer. Only file.name is read here.
+     */
+    async function extractFile(provider, file, profile, record) {
+        const data = await provider.extract(file, profile);
+        await record?.(data);
+        const structural = checkStructure(data);
+        if (structural.length > 0) throw new Error(`Malformed extraction: ${structural[0].message} (${structural[0].path})`);
+        return stampSources(data, file.name);
+    }
+
+    return {
+        ISO_CURRENCIES,
+        CHARGE_KINDS,
+        CHARGE_BASES,
+        CHARGE_BASE_PARTS,
+        sameKey,
+        mergeResults,
+        mergeReviewed,
+        checkStructure,
+        checkBusinessRules,
+        validateExtraction,
+        stampSources,
+        createMockProvider,
+        parseRateSheetText,
+        extractFile
+    };
+});
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Prices a stay from the command line with the same engine as the calculator.
+ *
+ *   node quote-cli.js request.json [--json]
+ *   node quote-cli.js - < request.json
+ *
+ * The request is JSON:
+ *   {
+ *     "database": "rates.json",            // Analyst Portal export; path relative to the request file, or the object itself
+ *     "location": "Maldives", "resort": "Sun Island",
+ *     "roomType": "Beach Villa", "board": "HB", "extras": ["Seaplane Transfer"],
+ *     "checkIn": "2026-11-01", "checkOut": "2026-11-06",
+ *     "adults": 2, "childAges": [4, 8], "roomCount": 1,
+ *     "markup": 10, "discount": 0, "bookingDate": "2026-06-01", "honeymoon": false
+ *   }
+ *
+ * Prints an itemized quote, or the engine's full result with --json. Exits 1 on a bad request or
+ * when the stay breaks the contract (the same errors that block a final quotation in the calculator).
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { quoteStay, findResort } = require('./quoteEngine.js');
+
+const money = (amount, currency) => {
+    try {
+        return new Intl.NumberFormat('en-US', { style: 'currency', currency }).format(amount);
+    } catch {
+        return `${currency} ${amount.toFixed(2)}`;
+    }
+};
+
+function readRequest(arg) {
+    const text = fs.readFileSync(arg === '-' ? 0 : arg, 'utf8');
+    const request = JSON.parse(text);
+    const baseDir = arg === '-' ? process.cwd() : path.dirname(path.resolve(arg));
+    const database = typeof request.database === 'string'
+        ? JSON.parse(fs.readFileSync(path.resolve(baseDir, request.database), 'utf8'))
+        : request.database;
+    if (!Array.isArray(database?.locations)) throw new Error("Request needs a 'database' with a 'locations' array.");
+    return { request, database };
+}
+
+const isBlocked = (q) => !!q.allocationError || q.issues.some(i => i.level === 'error');
+
+function printQuote(q) {
+    const line = (label, amount) => console.log(`  ${label.padEnd(44)} ${money(amount, q.currency).padStart(14)}`);
+    console.log(`${q.resort.resortName} · ${q.room?.type || 'no room'} · ${q.nights} night(s)`);
+    q.nightly.forEach(n => line(`${n.date} @ ${n.rate} ${n.basis}${n.unmatched ? ' (no season)' : ''}`, n.amount));
+    line('Stay', q.stay);
+    q.promotions.applied.forEach(p => line(`  ${p.name} (${p.detail})`, -p.amount));
+    q.promotions.rejected.forEach(p => console.log(`    not applied: ${p.name}, ${p.reason}`));
+    if (q.promotions.warning) console.log(`    ? ${q.promotions.warning}`);
+    if (q.manualDiscount) line('  Manual discount', -q.manualDiscount);
+    if (q.board) line(`Board ${q.mealPlan.code}`, q.board);
+    q.ancillaries.forEach(a => line(a.name, a.amount));
+    q.surcharges.forEach(c => line(`${c.name} (mandatory)`, c.amount));
+    line('Net', q.net);
+    line('Markup', q.markupAmount);
+    q.taxes.forEach(t => line(t.name, t.amount));
+    line('TOTAL', q.total);
+    const sell = q.total - q.taxTotal;
+    if (sell > 0) console.log(`  Margin ${(q.markupAmount / sell * 100).toFixed(1)}% of the pre-tax sell price`);
+    q.issues.forEach(i => console.log(`  ${i.level === 'error' ? '!' : '?'} ${i.message}`));
+    if (q.allocationError && !q.issues.some(i => i.message === q.allocationError)) console.log(`  ! ${q.allocationError}`);
+    if (isBlocked(q)) console.log('  Not final: fix the errors above before quoting.');
+}
+
+function main(argv) {
+    const args = argv.filter(a => a !== '--json');
+    if (args.length !== 1) {
+        console.error('Usage: node quote-cli.js <request.json | -> [--json]');
+        return 1;
+    }
+    try {
+        const { request, database } = readRequest(args[0]);
+        const { location, resort } = findResort(database, request.location, request.resort);
+        if (!resort) throw new Error(`No resort "${request.resort}" in location "${request.location}".`);
+        const quote = quoteStay(resort, request, { ...request, location });
+        if (argv.includes('--json')) console.log(JSON.stringify(quote, null, 2));
+        else printQuote(quote);
+        return isBlocked(quote) ? 1 : 0;
+    } catch (err) {
+        console.error(`Error: ${err.message}`);
+        return 1;
+    }
+}
+
+process.exitCode = main(process.argv.slice(2));
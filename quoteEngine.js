@@ -0,0 +1,677 @@
+/**
+ * Mykish pricing engine: prices a stay at one resort of an Analyst Portal rate database, or at
+ * every resort for comparison, and converts totals between currencies.
+ *
+ * Pure functions only (no DOM, no network), so the calculator page, the quote CLI and any
+ * test runner price quotes the same way. Loaded as a plain <script> (window.MykishQuoteEngine)
+ * or required as a CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.MykishQuoteEngine = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const isTax = (act) => act.category === 'tax';
+
+    // One ISO date per night of the stay, check-out day excluded
+    const stayDates = (checkIn, checkOut) => {
+        const dates = [];
+        const end = new Date(checkOut);
+        for (let d = new Date(checkIn); d < end; d.setUTCDate(d.getUTCDate() + 1)) {
+            dates.push(d.toISOString().slice(0, 10));
+        }
+        return dates;
+    };
+
+    // Used when a room carries no occupancy rules: standard double with two children sharing free
+    const DEFAULT_OCCUPANCY = {
+        baseOccupancy: 2,
+        maxAdults: 2,
+        maxOccupancy: 4,
+        freeChildren: 2,
+        childBands: [{ minAge: 0, maxAge: 11, rate: 0 }]
+    };
+
+    const occupancyRules = (room) => ({ ...DEFAULT_OCCUPANCY, ...(room?.occupancy || {}) });
+
+    const childBand = (rules, age) => (rules.childBands || []).find(b => age >= b.minAge && age <= b.maxAge);
+
+    // Splits the party into the fewest rooms the contract allows (or more if requested).
+    // Adults are spread evenly; each child goes to the room with the most spare places.
+    const allocateRooms = (adults, childAges, rules, requestedRooms) => {
+        const pax = adults + childAges.length;
+        const minRooms = Math.max(1, Math.ceil(adults / rules.maxAdults), Math.ceil(pax / rules.maxOccupancy));
+        const count = Math.max(requestedRooms || 0, minRooms);
+        if (adults < count) {
+            return { rooms: [], error: `Party needs ${count} room(s) but has ${adults} adult(s); every room needs an adult.` };
+        }
+        const rooms = Array.from({ length: count }, (_, i) => ({
+            adults: Math.floor(adults / count) + (i < adults % count ? 1 : 0),
+            childAges: []
+        }));
+        [...childAges].sort((a, b) => b - a).forEach(age => {
+            const target = rooms.reduce((best, r) => (r.adults + r.childAges.length) < (best.adults + best.childAges.length) ? r : best);
+            target.childAges.push(age);
+        });
+        return { rooms, error: null };
+    };
+
+    // Cost of one room for one night given who sleeps in it.
+    // Children older than every age band pay as adults; the youngest `freeChildren` stay free
+    // only when sharing with the full base occupancy of adults.
+    const priceRoomNight = (rate, basis, occupants, rules) => {
+        const banded = occupants.childAges.filter(age => childBand(rules, age)).sort((a, b) => a - b);
+        const payingAdults = occupants.adults + (occupants.childAges.length - banded.length);
+        const extraAdults = Math.max(0, payingAdults - rules.baseOccupancy);
+
+        let amount = basis === 'per_person'
+            ? (Math.min(payingAdults, rules.baseOccupancy) * rate) + (extraAdults * (rules.extraAdultRate ?? rate))
+            : rate + (extraAdults * (rules.extraAdultRate || 0));
+
+        if (payingAdults === 1 && occupants.childAges.length === 0) amount += rules.singleSupplement || 0;
+
+        const freeSlots = occupants.adults >= rules.baseOccupancy ? (rules.freeChildren || 0) : 0;
+        banded.forEach((age, i) => {
+            if (i >= freeSlots) amount += childBand(rules, age).rate;
+        });
+        return amount;
+    };
+
+    // Each night is priced at the season it falls in. Nights outside every period use the room's headline
+    // price and are flagged so the quote never silently borrows another season's rate.
+    const priceStay = (room, dates, allocation) => {
+        const rules = occupancyRules(room);
+        const nightly = dates.map(date => {
+            const period = (room?.periods || []).find(p => date >= p.start && date <= p.end);
+            const rate = period ? period.rate : (room?.price || 0);
+            const basis = period?.basis || 'per_room';
+            const perRoom = allocation.map(occ => priceRoomNight(rate, basis, occ, rules));
+            return { date, rate, basis, perRoom, amount: perRoom.reduce((a, b) => a + b, 0), unmatched: !period };
+        });
+        const rooms = allocation.map((occ, i) => ({ ...occ, amount: nightly.reduce((sum, n) => sum + n.perRoom[i], 0) }));
+        return { nightly, rooms, total: nightly.reduce((sum, n) => sum + n.amount, 0) };
+    };
+
+    // Ancillary cost for the party. Missing unit means per person (one-off), missing childPrice means children pay the adult price.
+    const activityCost = (act, adults, kids, nights) => {
+        if (act.unit === 'per_booking') return act.price;
+        const perHead = (adults * act.price) + (kids * (act.childPrice ?? act.price));
+        return act.unit === 'per_person_per_night' ? perHead * nights : perHead;
+    };
+
+    // Percentage charges are levied on these contract amounts (never on markup) unless the charge lists its own base.
+    // 'service' adds the service charges listed before it, e.g. GST on room rate plus service charge.
+    const DEFAULT_CHARGE_BASE = ['stay', 'board', 'extras', 'surcharges'];
+
+    const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+    /**
+     * Mandatory charges for a resort in the order they are levied: destination-wide charges of its
+     * location, then the resort's own (which replace a location charge of the same name), then tax
+     * activities from databases extracted before charges existed. Amounts are in the resort's currency.
+     */
+    const chargesFor = (resort, location) => {
+        const own = resort?.charges || [];
+        const shared = (location?.charges || []).filter(c => !own.some(o => sameName(o.name, c.name)));
+        const legacy = (resort?.activities || [])
+            .filter(a => isTax(a) && !a.isIncluded && ![...own, ...shared].some(c => sameName(c.name, a.name)))
+            .map(a => ({ name: a.name, kind: 'tax', basis: a.unit || 'per_person', amount: a.price, ...(a.childPrice != null ? { childAmount: a.childPrice } : {}) }));
+        return [...shared, ...own, ...legacy];
+    };
+
+    // A dated charge (e.g. a New Year's Eve gala dinner) only counts the stay nights inside its dates
+    const chargeNights = (charge, dates) => dates.filter(d => (!charge.start || d >= charge.start) && (!charge.end || d <= charge.end));
+
+    // Fixed-amount charges. Children younger than exemptUnderAge pay nothing, others the child amount if one is set.
+    const fixedChargeCost = (charge, party, nights) => {
+        const payingKids = party.childAges.filter(age => !(age < (charge.exemptUnderAge || 0))).length;
+        const perHead = party.adults * charge.amount + payingKids * (charge.childAmount ?? charge.amount);
+        if (charge.basis === 'per_person_per_night') return perHead * nights;
+        if (charge.basis === 'per_room_per_night') return party.rooms * charge.amount * nights;
+        if (charge.basis === 'per_booking') return charge.amount;
+        return perHead;
+    };
+
+    /**
+     * Surcharge and tax lines for a stay. `parts` holds the contract amounts percentage charges are
+     * levied on ({ stay, board, extras }); surcharges and earlier service charges are added as they
+     * are levied. Zero lines (e.g. a dated charge outside the stay) are dropped.
+     */
+    const levyCharges = (charges, parts, dates, party) => {
+        const amounts = { ...parts, surcharges: 0, service: 0 };
+        const levy = (charge) => {
+            const inRange = chargeNights(charge, dates).length;
+            if (inRange === 0) return 0;
+            if (charge.basis !== 'percent') return fixedChargeCost(charge, party, inRange);
+            const base = charge.base?.length ? charge.base : DEFAULT_CHARGE_BASE;
+            return base.reduce((sum, part) => sum + (amounts[part] || 0), 0) * charge.amount / 100;
+        };
+        const surcharges = charges
+            .filter(c => c.kind === 'surcharge')
+            .map(c => ({ name: c.name, amount: levy(c) }))
+            .filter(c => c.amount > 0);
+        amounts.surcharges = surcharges.reduce((sum, c) => sum + c.amount, 0);
+        const taxes = [];
+        charges.filter(c => c.kind !== 'surcharge').forEach(c => {
+            const amount = levy(c);
+            if (amount <= 0) return;
+            taxes.push({ name: c.name, kind: c.kind || 'tax', amount });
+            if (c.kind === 'service') amounts.service += amount;
+        });
+        return { surcharges, taxes, surchargeTotal: amounts.surcharges, taxTotal: taxes.reduce((sum, t) => sum + t.amount, 0) };
+    };
+
+    // Board supplement per person per night. Children outside every band pay the adult supplement.
+    const mealPlanCost = (plan, adults, childAges, nights) => {
+        if (!plan) return 0;
+        const children = childAges.reduce((sum, age) => {
+            const band = (plan.childBands || []).find(b => age >= b.minAge && age <= b.maxAge);
+            return sum + (band ? band.rate : plan.adultRate);
+        }, 0);
+        return ((adults * plan.adultRate) + children) * nights;
+    };
+
+    const addDays = (date, days) => {
+        const d = new Date(date);
+        d.setUTCDate(d.getUTCDate() + days);
+        return d.toISOString().slice(0, 10);
+    };
+
+    // The round trip rejects dates Date would roll over, such as 2026-02-30
+    const isIsoDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(new Date(value))
+        && new Date(value).toISOString().slice(0, 10) === value;
+
+    const nightsBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / (1000 * 60 * 60 * 24));
+
+    const inTravelWindow = (promo) => (night) =>
+        (!promo.travelStart || night.date >= promo.travelStart) && (!promo.travelEnd || night.date <= promo.travelEnd);
+
+    // Why a promotion cannot apply to this booking, or null when it can.
+    // Offers with a booking window or lead time never apply without a valid booking date.
+    const promotionBlocker = (promo, ctx) => {
+        const leadDays = nightsBetween(ctx.bookingDate, ctx.checkIn);
+        const windowNights = ctx.nightly.filter(inTravelWindow(promo)).length;
+        if (promo.type === 'honeymoon' && !ctx.honeymoon) return "honeymooners only";
+        if ((promo.bookingEnd || promo.minDaysBeforeArrival) && !isIsoDate(ctx.bookingDate)) return "booking date required";
+        if (promo.bookingEnd && ctx.bookingDate > promo.bookingEnd) return `book by ${promo.bookingEnd}`;
+        if (promo.minDaysBeforeArrival && leadDays < promo.minDaysBeforeArrival) return `book ${promo.minDaysBeforeArrival}+ days ahead (booking is ${leadDays} days out)`;
+        if (windowNights === 0) return `travel ${promo.travelStart || "any"} to ${promo.travelEnd || "any"}`;
+        if (promo.minNights && ctx.nightly.length < promo.minNights) return `minimum ${promo.minNights} nights`;
+        if (promo.type === 'stay_pay' && windowNights < promo.stayNights) return `stay ${promo.stayNights} nights within the offer dates`;
+        return null;
+    };
+
+    const canCombine = (a, b) => (a.combinableWith || []).includes(b.name) || (b.combinableWith || []).includes(a.name);
+
+    // Offer combinations compared per quote. A contract where dozens of offers combine would otherwise
+    // mean millions of them.
+    const MAX_PROMOTION_SETS = 1024;
+
+    // Sets of mutually combinable offers, smallest first so every single offer is always compared.
+    // complete is false when the limit cut the search short.
+    const combinableSets = (offers, limit) => {
+        const sets = [];
+        let complete = true;
+        let level = offers.map((p, i) => ({ set: [p], last: i }));
+        while (level.length && complete) {
+            const next = [];
+            for (const { set, last } of level) {
+                if (sets.length === limit) {
+                    complete = false;
+                    break;
+                }
+                sets.push(set);
+                for (let i = last + 1; i < offers.length && complete; i++) {
+                    if (!set.every(p => canCombine(p, offers[i]))) continue;
+                    if (next.length === limit) complete = false;
+                    else next.push({ set: [...set, offers[i]], last: i });
+                }
+            }
+            level = next;
+        }
+        return { sets, complete };
+    };
+
+    // Stay-pay offers take the cheapest nights first, then percentage offers compound on what is left.
+    // Only nights inside each offer's travel window are touched.
+    const promotionSavings = (set, nightly) => {
+        const amounts = nightly.map(n => n.amount);
+        const lines = [];
+        set.filter(p => p.type === 'stay_pay').forEach(p => {
+            const idx = nightly.map((_, i) => i).filter(i => inTravelWindow(p)(nightly[i])).sort((a, b) => amounts[a] - amounts[b]);
+            const free = Math.floor(idx.length / p.stayNights) * (p.stayNights - p.payNights);
+            const saved = idx.slice(0, free).reduce((sum, i) => {
+                const value = amounts[i];
+                amounts[i] = 0;
+                return sum + value;
+            }, 0);
+            lines.push({ name: p.name, amount: saved, detail: `${free} free night(s)` });
+        });
+        set.filter(p => p.type !== 'stay_pay' && p.discountPercent).forEach(p => {
+            let saved = 0;
+            nightly.forEach((n, i) => {
+                if (!inTravelWindow(p)(n)) return;
+                const cut = amounts[i] * (p.discountPercent / 100);
+                amounts[i] -= cut;
+                saved += cut;
+            });
+            lines.push({ name: p.name, amount: saved, detail: `${p.discountPercent}% off stay` });
+        });
+        return { total: lines.reduce((sum, l) => sum + l.amount, 0), lines };
+    };
+
+    // Compares the combinations of eligible offers the contract allows together and keeps the biggest saving.
+    // Past MAX_PROMOTION_SETS combinations the best found so far wins and a warning says so.
+    const applyPromotions = (promotions, nightly, ctx) => {
+        const rejected = [];
+        const eligible = [];
+        (promotions || []).forEach(p => {
+            const reason = promotionBlocker(p, { ...ctx, nightly });
+            if (reason) rejected.push({ name: p.name, reason });
+            else eligible.push(p);
+        });
+
+        let best = { total: 0, lines: [], set: [] };
+        const { sets, complete } = combinableSets(eligible, MAX_PROMOTION_SETS);
+        sets.forEach(set => {
+            const savings = promotionSavings(set, nightly);
+            if (savings.total > best.total || (savings.total === best.total && set.length > best.set.length)) best = { ...savings, set };
+        });
+        // An offer that combines with the whole winning set was only left out because the search stopped
+        eligible.filter(p => !best.set.includes(p)).forEach(p => {
+            const reason = best.set.every(b => canCombine(b, p))
+                ? "not compared (too many combinable offers)"
+                : `not combinable with ${best.set.map(b => b.name).join(" + ")}`;
+            rejected.push({ name: p.name, reason });
+        });
+        return {
+            total: best.total,
+            applied: best.lines,
+            perks: best.set.filter(p => p.perks).map(p => `${p.name}: ${p.perks}`),
+            rejected,
+            warning: complete ? null : `Only the first ${MAX_PROMOTION_SETS} offer combinations were compared; a better combination may exist.`
+        };
+    };
+
+    // Form fields arrive as strings; blanks and garbage count as zero
+    const toNumber = (value) => parseFloat(value) || 0;
+    const toCount = (value) => Math.max(0, parseInt(value) || 0);
+
+    // Agency policy for the percentages an agent may enter; override per call with options.limits
+    const DEFAULT_LIMITS = {
+        markup: { min: 0, max: 60 },
+        discount: { min: 0, max: 25 }
+    };
+
+    const MAX_CHILD_AGE = 17;
+
+    // Longest stay priced night by night. Anything longer is a typo (e.g. a half-typed year) and is not priced.
+    const MAX_NIGHTS = 60;
+
+    const isWhole = (value, min) => String(value).trim() !== '' && Number.isInteger(Number(value)) && Number(value) >= min;
+
+    // Nights to price: none when a date is invalid or the stay runs past MAX_NIGHTS
+    const pricedDates = (request) => {
+        if (!isIsoDate(request.checkIn) || !isIsoDate(request.checkOut)) return [];
+        const length = nightsBetween(request.checkIn, request.checkOut);
+        return length > 0 && length <= MAX_NIGHTS ? stayDates(request.checkIn, request.checkOut) : [];
+    };
+
+    // Contract validity: the resort's own window when extracted, else the span of the room's seasons
+    const validityWindow = (resort, room) => {
+        const periods = room?.periods || [];
+        return {
+            from: resort?.validFrom || (periods.length ? periods.map(p => p.start).sort()[0] : null),
+            to: resort?.validTo || (periods.length ? periods.map(p => p.end).sort().slice(-1)[0] : null)
+        };
+    };
+
+    const rangeText = (days) => days.length > 1 ? `${days[0]} to ${days[days.length - 1]}` : days[0];
+
+    /**
+     * Checks a stay request against the contract and agency policy before it is priced.
+     * Each issue names the request field it belongs to; any 'error' means the quote must not be
+     * presented as final.
+     *
+     * @returns {{ field: string, level: 'error'|'warning', message: string }[]}
+     */
+    function checkStay(resort, request, options = {}) {
+        const issues = [];
+        const error = (field, message) => issues.push({ field, level: 'error', message });
+        const limits = { ...DEFAULT_LIMITS, ...(options.limits || {}) };
+
+        ['markup', 'discount'].forEach(field => {
+            const value = options[field];
+            const { min, max } = limits[field];
+            if (value === undefined || value === '') return;
+            if (isNaN(Number(value))) error(field, `${field === 'markup' ? 'Markup' : 'Discount'} must be a number.`);
+            else if (Number(value) < min || Number(value) > max) error(field, `${field === 'markup' ? 'Markup' : 'Discount'} must be between ${min}% and ${max}%.`);
+        });
+        if (options.bookingDate && !isIsoDate(options.bookingDate)) error('bookingDate', 'Booking date is not a valid date.');
+
+        if (!isWhole(request.adults, 1)) error('adults', 'At least one adult is required (whole number).');
+        (request.childAges || []).forEach((age, i) => {
+            if (!isWhole(age, 0) || Number(age) > MAX_CHILD_AGE) error('childAges', `Child ${i + 1}: age must be a whole number from 0 to ${MAX_CHILD_AGE}.`);
+        });
+        if (String(request.roomCount ?? '').trim() !== '' && !isWhole(request.roomCount, 1)) error('roomCount', 'Rooms must be a whole number of at least 1, or blank for automatic.');
+
+        const datesValid = isIsoDate(request.checkIn) && isIsoDate(request.checkOut);
+        if (!isIsoDate(request.checkIn)) error('checkIn', 'Check-in is not a valid date.');
+        if (!isIsoDate(request.checkOut)) error('checkOut', 'Check-out is not a valid date.');
+        if (datesValid && request.checkOut <= request.checkIn) error('checkOut', 'Check-out must be after check-in.');
+        const length = datesValid ? nightsBetween(request.checkIn, request.checkOut) : 0;
+        if (length > MAX_NIGHTS) error('checkOut', `Stays are limited to ${MAX_NIGHTS} nights; this one has ${length}.`);
+        if (datesValid && options.bookingDate && isIsoDate(options.bookingDate) && options.bookingDate > request.checkIn) {
+            error('bookingDate', 'Booking date is after check-in.');
+        }
+
+        if (!resort) {
+            error('resortName', 'Choose a resort from the rate database.');
+            return issues;
+        }
+        const room = resort.rooms.find(r => r.type === request.roomType);
+        if (!room) {
+            error('roomType', 'Choose a room type from the contract.');
+            return issues;
+        }
+
+        // Occupancy: a requested room count must hold the whole party
+        const rules = occupancyRules(room);
+        const adults = toCount(request.adults);
+        const pax = adults + (request.childAges || []).length;
+        const requested = toCount(request.roomCount);
+        if (requested && (adults > requested * rules.maxAdults || pax > requested * rules.maxOccupancy)) {
+            error('roomCount', `${requested} room(s) hold at most ${requested * rules.maxAdults} adults and ${requested * rules.maxOccupancy} guests under this contract.`);
+        }
+        const allocation = allocateRooms(adults, (request.childAges || []).map(toCount), rules, requested);
+        if (allocation.error && isWhole(request.adults, 1)) error('adults', allocation.error);
+
+        if (!datesValid || request.checkOut <= request.checkIn || length > MAX_NIGHTS) return issues;
+        const nights = stayDates(request.checkIn, request.checkOut);
+
+        const { from, to } = validityWindow(resort, room);
+        const outside = new Set(nights.filter(d => (from && d < from) || (to && d > to)));
+        if (outside.size) error('checkIn', `Contract is valid ${from || 'any'} to ${to || 'any'}; ${outside.size} night(s) fall outside it.`);
+
+        const periods = room.periods || [];
+        if (periods.length) {
+            const unmatched = nights.filter(d => !outside.has(d) && !periods.some(p => d >= p.start && d <= p.end));
+            if (unmatched.length) error('checkIn', `No season rate for ${rangeText(unmatched)}.`);
+            periods
+                .filter(p => p.minNights && nights.some(d => d >= p.start && d <= p.end))
+                .forEach(p => {
+                    if (nights.length < p.minNights) error('checkOut', `Minimum stay is ${p.minNights} nights for ${p.start} to ${p.end}; this stay has ${nights.length}.`);
+                });
+        }
+
+        (resort.blackouts || []).forEach(b => {
+            const hit = nights.filter(d => d >= b.start && d <= b.end);
+            if (hit.length) error('checkIn', `Blackout ${b.start} to ${b.end}${b.reason ? ` (${b.reason})` : ''} covers ${hit.length} night(s).`);
+        });
+        return issues;
+    }
+
+    /**
+     * Prices one stay: nights by season and occupancy less promotions, board, ancillaries and
+     * mandatory surcharges, then markup, then pass-through taxes, service charges and fees.
+     *
+     * @param {object} resort   A resort from the rate database (rooms, activities, mealPlans, promotions).
+     * @param {object} request  { roomType, board, extras: string[], checkIn, checkOut, adults, childAges: number[], roomCount }.
+     *                          Dates are YYYY-MM-DD; check-out is not a night. Stays over MAX_NIGHTS price no nights.
+     *                          roomCount 0 or blank = fewest rooms allowed.
+     * @param {object} [options] { markup, discount } in percent, bookingDate (YYYY-MM-DD) and honeymoon for promotions,
+     *                            location for its destination-wide charges.
+     * @returns {object} Itemized quote in the resort's currency: nightly lines, rooms, promotions, manualDiscount,
+     *                   ancillaries, board, surcharges, taxes, net (before markup), markupAmount, taxTotal and total.
+     *                   discountLinked is the surcharge and tax share that scales with the stay discount (see pricingParts).
+     *                   issues lists checkStay() findings; with any error the figures are indicative only.
+     */
+    function quoteStay(resort, request, options = {}) {
+        const markup = toNumber(options.markup);
+        const discount = toNumber(options.discount);
+        const room = resort?.rooms.find(r => r.type === request.roomType);
+        const mealPlan = resort?.mealPlans?.find(p => p.code === request.board);
+        const rules = occupancyRules(room);
+
+        const nAdults = toCount(request.adults);
+        const ages = (request.childAges || []).map(toCount);
+        const nKids = ages.length;
+        const extras = request.extras || [];
+        const allocation = allocateRooms(nAdults, ages, rules, toCount(request.roomCount));
+        const stay = priceStay(room, pricedDates(request), allocation.rooms);
+        const nights = stay.nightly.length;
+        const chargeable = (resort?.activities || []).filter(a => !a.isIncluded);
+
+        // 1. STAY: each night at its own season rate, per room by occupancy (extra adults, child bands)
+        const stayBase = stay.total;
+
+        // 2. PROMOTIONS: best valid combination of contract offers, then the agent's manual stay discount
+        const promotions = applyPromotions(resort?.promotions, stay.nightly, { bookingDate: options.bookingDate, honeymoon: !!options.honeymoon, checkIn: request.checkIn });
+        const stayAfterPromotions = stayBase - promotions.total;
+        const manualDiscount = stayAfterPromotions * (discount / 100);
+        const stayAfterDiscount = stayAfterPromotions - manualDiscount;
+
+        // 3. ANCILLARIES: selected transfers, excursions and supplements from the contract
+        const ancillaries = chargeable
+            .filter(a => !isTax(a) && extras.includes(a.name))
+            .map(a => ({ name: a.name, amount: activityCost(a, nAdults, nKids, nights) }));
+        const ancillaryTotal = ancillaries.reduce((sum, a) => sum + a.amount, 0);
+
+        // 4. BOARD: meal plan supplement per person per night. Contracts exclude it from stay discounts and promotions.
+        const board = mealPlanCost(mealPlan, nAdults, ages, nights);
+
+        // 5. SURCHARGES: mandatory resort costs such as gala dinners; marked up like the stay but never discounted.
+        //    Levied together with the step 7 taxes, which may be a percentage of them.
+        const charges = chargesFor(resort, options.location);
+        const dates = stay.nightly.map(n => n.date);
+        const party = { adults: nAdults, childAges: ages, rooms: allocation.rooms.length };
+        const levied = (stayAmount) => levyCharges(charges, { stay: stayAmount, board, extras: ancillaryTotal }, dates, party);
+        const { surcharges, taxes, surchargeTotal, taxTotal } = levied(stayAfterDiscount);
+
+        // Percentage charges on the stay move with the manual discount: their amount on the undiscounted stay
+        const full = levied(stayAfterPromotions);
+        const none = levied(0);
+        const discountLinked = { surcharges: full.surchargeTotal - none.surchargeTotal, tax: full.taxTotal - none.taxTotal };
+
+        // 6. APPLY MARKUP to (Stay + Board + Ancillaries + Surcharges)
+        const net = stayAfterDiscount + board + ancillaryTotal + surchargeTotal;
+        const subWithMarkup = net * (1 + (markup / 100));
+
+        // 7. TAXES, SERVICE CHARGES AND FEES (e.g. Green Tax, T-GST): levied in listed order on contract
+        //    amounts (taxes above) and passed through without markup
+        return {
+            currency: (resort?.currency || 'USD').toUpperCase(),
+            resort,
+            room,
+            mealPlan,
+            rules,
+            nights,
+            board,
+            total: subWithMarkup + taxTotal,
+            net,
+            markupAmount: subWithMarkup - net,
+            taxTotal,
+            stay: stayBase,
+            promotions,
+            manualDiscount,
+            nightly: stay.nightly,
+            rooms: stay.rooms,
+            allocationError: allocation.error,
+            ancillaries,
+            surcharges,
+            taxes,
+            discountLinked,
+            issues: checkStay(resort, request, options)
+        };
+    }
+
+    // Exchange rates are kept as units of a currency per 1 USD, so any pair converts through USD.
+    // The FX buffer is added on every real conversion to cover rate movement before the client pays.
+    const convert = (amount, from, to, fx) => {
+        const source = (from || 'USD').toUpperCase();
+        const target = (to || 'USD').toUpperCase();
+        if (source === target) return { amount, rate: 1 };
+        const perUsd = (code) => code === 'USD' ? 1 : fx.rates.find(r => r.code === code)?.perUsd;
+        const a = perUsd(source);
+        const b = perUsd(target);
+        if (!a || !b) return { amount: null, rate: null, missing: !a ? source : target };
+        const rate = (b / a) * (1 + (fx.buffer || 0) / 100);
+        return { amount: amount * rate, rate };
+    };
+
+    // The board included in the room rate is the natural default
+    const defaultBoard = (resort) => {
+        const plans = resort?.mealPlans || [];
+        return (plans.find(p => p.adultRate === 0) || plans[0])?.code || '';
+    };
+
+    // Transfers are quoted by default, same as the old hard-coded speedboat line
+    const defaultExtras = (resort) => {
+        const transfer = resort?.activities.find(a => a.category === 'transfer' && !a.isIncluded);
+        return transfer ? [transfer.name] : [];
+    };
+
+    /**
+     * Prices every room of every resort in a rate database for one stay, for side-by-side comparison.
+     * request.board is used where the resort offers it, otherwise the resort's default board;
+     * request.transfers adds each resort's default transfer. Rows come back in database order.
+     *
+     * @returns {{ location, resort, room, board: string, extras: string[], quote: object }[]}
+     */
+    const compareStays = (db, request, options) => (db?.locations || []).flatMap(location => location.resorts.flatMap(resort => {
+        const board = resort.mealPlans?.some(p => p.code === request.board) ? request.board : defaultBoard(resort);
+        const extras = request.transfers ? defaultExtras(resort) : [];
+        return resort.rooms.map(room => ({
+            location,
+            resort,
+            room,
+            board,
+            extras,
+            quote: quoteStay(resort, { ...request, roomType: room.type, board, extras }, { ...options, location })
+        }));
+    }));
+
+    // Exact-name lookup, as stored in saved quotes and CLI requests
+    const findResort = (db, locationName, resortName) => {
+        const location = db?.locations.find(l => l.name === locationName);
+        return { location, resort: location?.resorts.find(r => r.resortName === resortName) };
+    };
+
+    /**
+     * Splits a quote into what markup and discount act on, in the quote's currency, at no discount:
+     * `discountable` is the stay after promotions plus surcharges levied as a percentage of it, `fixed`
+     * is the rest of the net cost, `tax` the pass-through charges that ignore the discount and
+     * `discountableTax` those levied as a percentage of the stay (service charge, GST).
+     * Parts from several legs can be converted to one currency and added field by field.
+     */
+    const pricingParts = (quote) => {
+        const share = 1 - (quote.stay - quote.promotions.total > 0
+            ? quote.manualDiscount / (quote.stay - quote.promotions.total) : 0);
+        const linked = quote.discountLinked || { surcharges: 0, tax: 0 };
+        const discountable = quote.stay - quote.promotions.total + linked.surcharges;
+        return {
+            discountable,
+            fixed: quote.net - discountable * share,
+            tax: quote.taxTotal - linked.tax * share,
+            discountableTax: linked.tax
+        };
+    };
+
+    /**
+     * Agency economics of a priced quote. Taxes are collected for the resort and excluded from
+     * the margin: margin % = gross profit / sell price before tax.
+     */
+    function marginAt(parts, markup, discount) {
+        const share = 1 - toNumber(discount) / 100;
+        const net = parts.discountable * share + parts.fixed;
+        const sell = net * (1 + toNumber(markup) / 100);
+        const tax = parts.tax + (parts.discountableTax || 0) * share;
+        return {
+            net,
+            sell,
+            tax,
+            total: sell + tax,
+            profit: sell - net,
+            margin: sell > 0 ? (sell - net) / sell * 100 : 0
+        };
+    }
+
+    /**
+     * Back-solves the markup or discount that reaches a target total or target margin %.
+     * The other percentage keeps its current value. Margin depends on markup alone, because the
+     * stay discount lowers net cost and sell price in proportion.
+     *
+     * @param {object} parts   pricingParts(), summed across legs in one currency.
+     * @param {object} target  { kind: 'total'|'margin', value, solveFor: 'markup'|'discount' }.
+     * @param {object} [options] { markup, discount } currently entered, and limits (see DEFAULT_LIMITS).
+     * @returns {{ markup: number, discount: number, error: string|null }} Unrounded percentages;
+     *          error is set when the target cannot be reached or needs a value outside the limits.
+     */
+    function solvePricing(parts, target, options = {}) {
+        const limits = { ...DEFAULT_LIMITS, ...(options.limits || {}) };
+        let markup = toNumber(options.markup);
+        let discount = toNumber(options.discount);
+        const value = toNumber(target.value);
+        const fail = (error) => ({ markup, discount, error });
+
+        if (target.kind === 'margin') {
+            if (target.solveFor !== 'markup') return fail('Margin is set by markup alone; solve for markup instead.');
+            if (value < 0 || value >= 100) return fail('Target margin must be from 0% to below 100%.');
+            markup = value / (100 - value) * 100;
+        } else {
+            if (target.solveFor === 'markup') {
+                const { net, tax } = marginAt(parts, 0, discount);
+                if (value <= tax) return fail(`Target total must be more than the pass-through taxes (${tax.toFixed(2)}).`);
+                if (net <= 0) return fail('There is no net cost to mark up.');
+                markup = ((value - tax) / net - 1) * 100;
+            } else {
+                if (value <= parts.tax) return fail(`Target total must be more than the pass-through taxes (${parts.tax.toFixed(2)}).`);
+                if (parts.discountable <= 0) return fail('There is no stay cost to discount.');
+                // total = (discountable * share + fixed) * (1 + markup) + tax + discountableTax * share
+                const rate = 1 + markup / 100;
+                const share = (value - parts.tax - parts.fixed * rate) / (parts.discountable * rate + (parts.discountableTax || 0));
+                discount = (1 - share) * 100;
+            }
+        }
+
+        const solved = target.solveFor === 'markup' ? markup : discount;
+        const { min, max } = limits[target.solveFor];
+        const label = target.solveFor === 'markup' ? 'Markup' : 'Discount';
+        const error = solved < min || solved > max
+            ? `${label} would need to be ${solved.toFixed(2)}%, outside the allowed ${min}% to ${max}%.`
+            : null;
+        return { markup, discount, error };
+    }
+
+    return {
+        DEFAULT_OCCUPANCY,
+        DEFAULT_LIMITS,
+        DEFAULT_CHARGE_BASE,
+        MAX_NIGHTS,
+        MAX_PROMOTION_SETS,
+        isTax,
+        stayDates,
+        addDays,
+        nightsBetween,
+        occupancyRules,
+        childBand,
+        allocateRooms,
+        priceRoomNight,
+        priceStay,
+        activityCost,
+        mealPlanCost,
+        chargesFor,
+        applyPromotions,
+        convert,
+        defaultBoard,
+        defaultExtras,
+        findResort,
+        compareStays,
+        checkStay,
+        quoteStay,
+        pricingParts,
+        marginAt,
+        solvePricing
+    };
+});
@@ -0,0 +1,226 @@
+/**
+ * Flat rate sheets: the nested Analyst Portal export as one row per room, season or activity.
+ *
+ * Used for the CSV/XLSX exports and for loading a spreadsheet-edited sheet back into the
+ * Data View or the calculator. Occupancy, meal plans, promotions and taxes/fees have no columns;
+ * on import they are carried over from the database the sheet is merged onto.
+ * Loaded as a plain <script> (window.MykishRateSheet) or imported as a CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.MykishRateSheet = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const COLUMNS = ['Location', 'Resort', 'Currency', 'Location Type', 'Kind', 'Name', 'Price', 'Included',
+        'Child Price', 'Unit', 'Category', 'Start', 'End', 'Basis'];
+
+    // room = base room rate, period = one season of the room named in Name, activity = everything else
+    const KINDS = ['room', 'period', 'activity'];
+
+    const key = (value) => String(value || '').trim().toLowerCase();
+    const same = (a, b) => key(a) === key(b);
+
+    function toRows(result) {
+        const rows = [];
+        result.locations.forEach(loc => loc.resorts.forEach(resort => {
+            const base = { 'Location': loc.name, 'Resort': resort.resortName, 'Currency': resort.currency, 'Location Type': resort.locationType };
+            resort.rooms.forEach(room => {
+                rows.push({ ...base, 'Kind': 'room', 'Name': room.type, 'Price': room.price, 'Included': '' });
+                (room.periods || []).forEach(p => rows.push({
+                    ...base, 'Kind': 'period', 'Name': room.type, 'Price': p.rate, 'Included': '', 'Start': p.start, 'End': p.end, 'Basis': p.basis
+                }));
+            });
+            resort.activities.forEach(act => rows.push({
+                ...base, 'Kind': 'activity', 'Name': act.name, 'Price': act.price, 'Included': act.isIncluded ? 'yes' : 'no',
+                'Child Price': act.childPrice ?? '', 'Unit': act.unit || '', 'Category': act.category || ''
+            }));
+        }));
+        return rows.map(row => Object.fromEntries(COLUMNS.map(c => [c, row[c] ?? ''])));
+    }
+
+    const number = (value) => {
+        const cleaned = String(value ?? '').replace(/[^0-9.\-]/g, '');
+        return cleaned === '' ? NaN : parseFloat(cleaned);
+    };
+
+    const flag = (value) => ['yes', 'y', 'true', '1', 'included'].includes(key(value));
+
+    const markChanged = (item, field, before, after) =>
+        !before || before[field] === after || item.origin === 'manual' ? item
+            : { ...item, correctedFields: [...new Set([...(item.correctedFields || []), field])] };
+
+    /**
+     * Builds an ExtractionResult from sheet rows. Rooms, activities and resorts that match `base`
+     * by name keep their other fields (sources, occupancy, meal plans, promotions); anything not
+     * in the sheet is dropped. Each row may carry `__row` (e.g. "Line 4") for error messages.
+     */
+    function fromRows(rows, base) {
+        const errors = [];
+        const locations = [];
+        const where = (row, i) => row.__row || `Row ${i + 2}`;
+
+        rows.forEach((row, i) => {
+            const kind = key(row['Kind']);
+            const name = String(row['Name'] || '').trim();
+            const price = number(row['Price']);
+            if (!key(row['Location']) && !key(row['Resort']) && !name) return;
+            if (!key(row['Location']) || !key(row['Resort'])) return errors.push(`${where(row, i)}: Location and Resort are required.`);
+            if (!KINDS.includes(kind)) return errors.push(`${where(row, i)}: Kind must be one of ${KINDS.join(', ')}.`);
+            if (!name) return errors.push(`${where(row, i)}: Name is required.`);
+            if (isNaN(price)) return errors.push(`${where(row, i)}: Price "${row['Price']}" is not a number.`);
+
+            const locName = String(row['Location']).trim();
+            let loc = locations.find(l => same(l.name, locName));
+            if (!loc) {
+                const charges = base?.locations.find(l => same(l.name, locName))?.charges;
+                locations.push(loc = { name: locName, ...(charges ? { charges } : {}), resorts: [] });
+            }
+
+            const resortName = String(row['Resort']).trim();
+            let resort = loc.resorts.find(r => same(r.resortName, resortName));
+            if (!resort) {
+                const prev = base?.locations.find(l => same(l.name, locName))?.resorts.find(r => same(r.resortName, resortName));
+                resort = {
+                    ...prev,
+                    resortName,
+                    currency: String(row['Currency'] || prev?.currency || 'USD').trim().toUpperCase(),
+                    locationType: key(row['Location Type'] || prev?.locationType) === 'bundle' ? 'Bundle' : 'Component',
+                    rooms: [],
+                    activities: [],
+                    __prev: prev
+                };
+                loc.resorts.push(resort);
+            }
+            const prev = resort.__prev;
+
+            if (kind === 'room') {
+                const old = prev?.rooms.find(r => same(r.type, name));
+                const room = { ...(old || { origin: 'manual' }), type: name, price, periods: [] };
+                resort.rooms.push(markChanged(room, 'price', old, price));
+            } else if (kind === 'period') {
+                const room = resort.rooms.find(r => same(r.type, name));
+                if (!room) return errors.push(`${where(row, i)}: season for "${name}" must follow that room's row.`);
+                const start = String(row['Start'] || '').trim();
+                const end = String(row['End'] || '').trim();
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(start) || !/^\d{4}-\d{2}-\d{2}$/.test(end)) {
+                    return errors.push(`${where(row, i)}: Start and End must be YYYY-MM-DD dates.`);
+                }
+                const old = prev?.rooms.find(r => same(r.type, name))?.periods?.find(p => p.start === start && p.end === end);
+                room.periods.push({ ...old, start, end, rate: price, basis: key(row['Basis']) === 'per_person' ? 'per_person' : 'per_room' });
+                if (old && old.rate !== price && room.origin !== 'manual') {
+                    room.correctedFields = [...new Set([...(room.correctedFields || []), 'periods'])];
+                }
+            } else {
+                const old = prev?.activities.find(a => same(a.name, name));
+                const childPrice = number(row['Child Price']);
+                const act = {
+                    ...(old || { origin: 'manual' }),
+                    name,
+                    price,
+                    isIncluded: flag(row['Included']),
+                    ...(isNaN(childPrice) ? {} : { childPrice }),
+                    ...(row['Unit'] ? { unit: key(row['Unit']) } : {}),
+                    ...(row['Category'] ? { category: key(row['Category']) } : {})
+                };
+                resort.activities.push(['price', 'isIncluded'].reduce((a, field) => markChanged(a, field, old, act[field]), act));
+            }
+        });
+
+        if (errors.length > 0) {
+            const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+            throw new Error(`Rate sheet has ${errors.length} problem(s): ${errors.slice(0, 5).join(' ')}${more}`);
+        }
+        if (locations.length === 0) throw new Error('Rate sheet has no rate rows.');
+        locations.forEach(loc => loc.resorts.forEach(r => {
+            delete r.__prev;
+            r.rooms.forEach(room => { if (room.periods.length === 0) delete room.periods; });
+        }));
+        return { locations, audit: base?.audit || [] };
+    }
+
+    const csvCell = (value) => {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    function toCsv(rows) {
+        return [COLUMNS, ...rows.map(row => COLUMNS.map(c => row[c]))]
+            .map(cells => cells.map(csvCell).join(','))
+            .join('\r\n');
+    }
+
+    // RFC 4180: quoted cells may hold commas, doubled quotes and line breaks
+    function parseCsv(text) {
+        const records = [];
+        let record = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let recordLine = 1;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+                else if (ch === '"') quoted = false;
+                else { if (ch === '\n') line++; cell += ch; }
+            } else if (ch === '"') quoted = true;
+            else if (ch === ',') { record.push(cell); cell = ''; }
+            else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') i++;
+                record.push(cell);
+                records.push({ cells: record, line: recordLine });
+                record = [];
+                cell = '';
+                recordLine = ++line;
+            } else cell += ch;
+        }
+        if (cell !== '' || record.length > 0) records.push({ cells: [...record, cell], line: recordLine });
+
+        const [header, ...body] = records;
+        if (!header) return [];
+        const names = header.cells.map(h => h.trim());
+        const missing = ['Location', 'Resort', 'Kind', 'Name', 'Price'].filter(c => !names.includes(c));
+        if (missing.length > 0) throw new Error(`Rate sheet is missing column(s): ${missing.join(', ')}.`);
+        return body.map(({ cells, line }) => ({
+            ...Object.fromEntries(names.map((n, i) => [n, (cells[i] ?? '').trim()])),
+            __row: `Line ${line}`
+        }));
+    }
+
+    // Excel caps sheet names at 31 characters and forbids : \ / ? * [ ]
+    const sheetName = (name, taken) => {
+        const base = (String(name).replace(/[:\\/?*[\]]/g, ' ').trim() || 'Location').slice(0, 31);
+        let candidate = base;
+        for (let n = 2; taken.includes(candidate); n++) candidate = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+        taken.push(candidate);
+        return candidate;
+    };
+
+    // XLSX is the SheetJS namespace; passed in so this file has no dependencies of its own
+    function toWorkbook(XLSX, result) {
+        const wb = XLSX.utils.book_new();
+        const taken = [];
+        result.locations.forEach(loc => {
+            const rows = toRows({ locations: [loc] });
+            XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rows, { header: COLUMNS }), sheetName(loc.name, taken));
+        });
+        return wb;
+    }
+
+    // Rows from every sheet; a blank Location cell falls back to the sheet name
+    function readWorkbook(XLSX, wb) {
+        return wb.SheetNames.flatMap(name => XLSX.utils.sheet_to_json(wb.Sheets[name], { defval: '', raw: false, dateNF: 'yyyy-mm-dd' })
+            .map((row, i) => ({ ...row, 'Location': row['Location'] || name, __row: `${name} row ${i + 2}` })));
+    }
+
+    return {
+        COLUMNS,
+        toRows,
+        fromRows,
+        toCsv,
+        parseCsv,
+        toWorkbook,
+        readWorkbook
+    };
+});
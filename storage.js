@@ -0,0 +1,104 @@
+/**
+ * Local persistence for the Mykish tools (IndexedDB).
+ *
+ * Shared by the Analyst Portal and the quote calculator: rate snapshots, extraction rule
+ * profiles, recorded extraction fixtures, imported rate databases, saved quotes and
+ * in-progress drafts live in one database per origin.
+ * Loaded as a plain <script> (window.MykishStore) or imported as a CommonJS module.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.MykishStore = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    // Version 1 held only snapshots; later stores are added on upgrade so saved versions survive
+    const DB_NAME = 'mykish-analyst';
+    const DB_VERSION = 4;
+    const STORES = {
+        snapshots: 'id',
+        rateDatabases: 'id',
+        quotes: 'id',
+        drafts: 'key',
+        ruleProfiles: 'id',
+        fixtures: 'fileName'
+    };
+
+    const QUOTE_STATUSES = ['draft', 'sent', 'accepted', 'expired'];
+
+    let dbPromise = null;
+
+    function open() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const req = indexedDB.open(DB_NAME, DB_VERSION);
+                req.onupgradeneeded = () => {
+                    const db = req.result;
+                    Object.keys(STORES).forEach(name => {
+                        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: STORES[name] });
+                    });
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => {
+                    dbPromise = null;
+                    reject(req.error);
+                };
+            });
+        }
+        return dbPromise;
+    }
+
+    async function request(store, mode, fn) {
+        const db = await open();
+        return new Promise((resolve, reject) => {
+            const req = fn(db.transaction(store, mode).objectStore(store));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    const getAll = (store) => request(store, 'readonly', s => s.getAll());
+    const get = (store, key) => request(store, 'readonly', s => s.get(key));
+    const put = (store, value) => request(store, 'readwrite', s => s.put(value));
+    const remove = (store, key) => request(store, 'readwrite', s => s.delete(key));
+
+    const loadDraft = async (key) => (await get('drafts', key))?.value ?? null;
+    const saveDraft = (key, value) => put('drafts', { key, value, savedAt: new Date().toISOString() });
+
+    const newId = () => Math.random().toString(36).substr(2, 9);
+
+    // MYK-<year>-<sequence>, continuing from the highest reference issued this year
+    async function nextQuoteReference(date = new Date()) {
+        const year = date.getFullYear();
+        const prefix = `MYK-${year}-`;
+        const last = (await getAll('quotes'))
+            .map(q => q.reference || '')
+            .filter(ref => ref.startsWith(prefix))
+            .reduce((max, ref) => Math.max(max, parseInt(ref.slice(prefix.length)) || 0), 0);
+        return `${prefix}${String(last + 1).padStart(4, '0')}`;
+    }
+
+    // Case-insensitive match on reference, client and resort names; newest first
+    function searchQuotes(quotes, text, status) {
+        const needle = (text || '').trim().toLowerCase();
+        return quotes
+            .filter(q => !status || q.status === status)
+            .filter(q => !needle || [q.reference, q.clientName, ...(q.resorts || [])]
+                .some(v => (v || '').toLowerCase().includes(needle)))
+            .sort((a, b) => (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+    }
+
+    return {
+        QUOTE_STATUSES,
+        open,
+        getAll,
+        get,
+        put,
+        remove,
+        loadDraft,
+        saveDraft,
+        newId,
+        nextQuoteReference,
+        searchQuotes
+    };
+});
@@ -0,0 +1,154 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const fs = require('fs');
+const extraction = require('../extraction.js');
+const engine = require('../quoteEngine.js');
+
+const { createMockProvider, extractFile, mergeResults, mergeReviewed, validateExtraction, parseRateSheetText } = extraction;
+
+const fixtures = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', 'extraction-fixtures.json'), 'utf8'));
+const profile = { id: 'mixed', name: 'Mixed', destination: '', packaging: 'Mixed', customFields: [] };
+
+// The portal passes browser File objects; the pipeline only reads the name
+const file = (name) => ({ name });
+
+const extractAll = async (names) => {
+    const provider = createMockProvider(fixtures);
+    return Promise.all(names.map(name => extractFile(provider, file(name), profile)));
+};
+
+test('a recorded extraction replays through extract, merge and validate', async () => {
+    const results = await extractAll(['sun-island-2026.pdf', 'sun-island-summer-2026.pdf']);
+    const merged = mergeResults(results);
+
+    assert.equal(merged.locations.length, 1);
+    const [resort] = merged.locations[0].resorts;
+    assert.deepEqual(resort.rooms.find(r => r.type === 'Beach Villa').periods.map(p => [p.start, p.rate, p.source.file]), [
+        ['2026-04-01', 400, 'sun-island-2026.pdf'],
+        ['2026-05-01', 200, 'sun-island-summer-2026.pdf']
+    ]);
+    assert.deepEqual(resort.activities.map(a => a.name), ['Seaplane Transfer', 'Snorkel Gear', 'Sunset Cruise']);
+    assert.deepEqual(resort.promotions.map(p => p.name), ['Stay 4 Pay 3']);
+    assert.equal(merged.locations[0].charges[0].source.file, 'sun-island-2026.pdf');
+
+    const report = validateExtraction(merged);
+    assert.equal(report.errorCount, 0);
+    assert.deepEqual(report.issues.map(i => i.message), ['Surcharge "Festive Gala Dinner" has no dates, so every stay pays it']);
+});
+
+test('the replayed database prices with the quote engine', async () => {
+    const merged = mergeResults(await extractAll(['sun-island-2026.pdf', 'sun-island-summer-2026.pdf']));
+    const { location, resort } = engine.findResort(merged, 'Maldives', 'Sun Island Resort');
+    const q = engine.quoteStay(resort, {
+        roomType: 'Beach Villa', board: 'BB', extras: [], checkIn: '2026-04-29', checkOut: '2026-05-03', adults: 2, childAges: []
+    }, { location });
+
+    assert.deepEqual(q.nightly.map(n => n.amount), [400, 400, 200, 200]);
+    assert.deepEqual(q.promotions.applied.map(p => p.name), []);
+    assert.deepEqual(q.taxes.map(t => t.name), ['Green Tax', 'Service Charge']);
+    assert.deepEqual(q.issues, []);
+});
+
+test('replaying a file with no recorded response fails with its name', async () => {
+    await assert.rejects(extractAll(['unknown.pdf']), /No recorded response for "unknown\.pdf"/);
+});
+
+test('a malformed response is rejected before it reaches the reviewer', async () => {
+    const provider = createMockProvider([{ fileName: 'broken.pdf', response: { locations: [{ name: 'Maldives' }] } }]);
+    await assert.rejects(extractFile(provider, file('broken.pdf'), profile), /Malformed extraction: Location has no resorts array \(locations\[0\]\.resorts\)/);
+});
+
+test('the mock provider hands out copies, so edits never leak into the fixtures', async () => {
+    const [first] = await extractAll(['sun-island-2026.pdf']);
+    first.locations[0].resorts[0].rooms[0].price = 1;
+    const [second] = await extractAll(['sun-island-2026.pdf']);
+    assert.equal(second.locations[0].resorts[0].rooms[0].price, 400);
+});
+
+test('business rules flag currencies, prices and charges', () => {
+    const report = validateExtraction({
+        locations: [{
+            name: 'Maldives',
+            resorts: [{
+                resortName: 'Sun Island Resort',
+                currency: 'XXY',
+                locationType: 'Bundle',
+                rooms: [{ type: 'Beach Villa', price: 0 }],
+                activities: [{ name: 'Seaplane Transfer', price: 550, isIncluded: false }],
+                charges: [{ name: 'T-GST', kind: 'tax', basis: 'percent', amount: 160 }]
+            }]
+        }]
+    });
+    assert.deepEqual(report.issues.map(i => [i.level, i.path]), [
+        ['error', 'locations[0].resorts[0].currency'],
+        ['error', 'locations[0].resorts[0].rooms[0].price'],
+        ['warning', 'locations[0].resorts[0].activities[0].isIncluded'],
+        ['error', 'locations[0].resorts[0].charges[0].amount']
+    ]);
+});
+
+test('re-extracting reviewed data keeps corrected fields and takes everything else fresh', async () => {
+    const [original] = await extractAll(['sun-island-2026.pdf']);
+    const reviewed = structuredClone(original);
+    const resort = reviewed.locations[0].resorts[0];
+    resort.rooms[0] = { ...resort.rooms[0], price: 420, correctedFields: ['price'] };
+    resort.rooms.push({ type: 'Overwater Suite', price: 900, origin: 'manual' });
+    reviewed.audit = [{ id: 'a1', at: '2026-06-02T10:00:00.000Z', by: 'Reviewer', action: 'update', target: 'Maldives › Sun Island Resort › Beach Villa', field: 'price', oldValue: 400, newValue: 420 }];
+
+    const fresh = structuredClone(original);
+    fresh.locations[0].resorts[0].rooms[0].periods[0].rate = 410;
+    fresh.locations[0].resorts[0].rooms[1].price = 700;
+
+    const merged = mergeReviewed(reviewed, [fresh], ['sun-island-2026.pdf']);
+    const rooms = merged.locations[0].resorts[0].rooms;
+    assert.deepEqual(rooms.map(r => [r.type, r.price]), [['Beach Villa', 420], ['Water Villa', 700], ['Overwater Suite', 900]]);
+    assert.equal(rooms[0].periods[0].rate, 410);
+    assert.deepEqual(merged.audit, reviewed.audit);
+});
+
+test('re-extracting keeps the seasons, occupancy and offers a reviewer edited', async () => {
+    const [original] = await extractAll(['sun-island-2026.pdf']);
+    const reviewed = structuredClone(original);
+    const resort = reviewed.locations[0].resorts[0];
+    resort.rooms[0] = {
+        ...resort.rooms[0],
+        periods: [...resort.rooms[0].periods, { start: '2026-05-01', end: '2026-10-31', rate: 250, basis: 'per_room', origin: 'manual' }],
+        occupancy: { baseOccupancy: 2, maxAdults: 3, maxOccupancy: 4, childBands: [{ minAge: 0, maxAge: 11, rate: 40 }] },
+        correctedFields: ['periods', 'occupancy']
+    };
+    resort.mealPlans[1] = { ...resort.mealPlans[1], adultRate: 95, correctedFields: ['adultRate'] };
+
+    const merged = mergeReviewed(reviewed, [structuredClone(original)], ['sun-island-2026.pdf']);
+    const [room] = merged.locations[0].resorts[0].rooms;
+    assert.deepEqual(room.periods.map(p => [p.start, p.rate]), [['2026-04-01', 400], ['2026-05-01', 250]]);
+    assert.equal(room.occupancy.childBands[0].rate, 40);
+    assert.equal(merged.locations[0].resorts[0].mealPlans[1].adultRate, 95);
+});
+
+test('the local parser reads rooms, seasons, activities and charges from text lines', () => {
+    const lines = [
+        'Resort: Sun Island Resort',
+        'Currency: USD',
+        'Room Rates',
+        'Beach Villa | 01/04/2026 | 30/04/2026 | 400',
+        'Beach Villa | 01/05/2026 | 31/10/2026 | 200',
+        'Transfers and extras',
+        'Seaplane Transfer | 550',
+        'Green Tax per night | 6',
+        'Service Charge | 10%'
+    ].map(text => ({ page: 1, text }));
+    const result = parseRateSheetText(lines, 'rates.pdf', { ...profile, destination: 'Maldives', packaging: 'Component' });
+    const [resort] = result.locations[0].resorts;
+
+    assert.equal(result.locations[0].name, 'Maldives');
+    assert.deepEqual(resort.rooms[0].periods.map(p => [p.start, p.end, p.rate]), [['2026-04-01', '2026-04-30', 400], ['2026-05-01', '2026-10-31', 200]]);
+    assert.deepEqual(resort.activities.map(a => [a.name, a.price, a.category]), [['Seaplane Transfer', 550, 'transfer']]);
+    assert.deepEqual(resort.charges.map(c => [c.name, c.kind, c.basis, c.amount]), [
+        ['Green Tax per night', 'tax', 'per_person_per_night', 6],
+        ['Service Charge', 'service', 'percent', 10]
+    ]);
+    assert.equal(validateExtraction(result).errorCount, 0);
+});
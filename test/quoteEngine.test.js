@@ -0,0 +1,176 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const engine = require('../quoteEngine.js');
+
+const { quoteStay, checkStay, pricingParts, marginAt, solvePricing } = engine;
+
+// A small contract: two seasons, an extra bed, one free child and a paid child band
+const resort = () => ({
+    resortName: 'Sun Island',
+    currency: 'USD',
+    locationType: 'Component',
+    rooms: [{
+        type: 'Beach Villa',
+        price: 400,
+        periods: [
+            { start: '2026-04-01', end: '2026-04-30', rate: 400, basis: 'per_room' },
+            { start: '2026-05-01', end: '2026-10-31', rate: 200, basis: 'per_room' }
+        ],
+        occupancy: {
+            baseOccupancy: 2,
+            maxAdults: 3,
+            maxOccupancy: 4,
+            extraAdultRate: 150,
+            freeChildren: 1,
+            childBands: [{ minAge: 0, maxAge: 5, rate: 0 }, { minAge: 6, maxAge: 11, rate: 60 }]
+        }
+    }],
+    activities: [],
+    mealPlans: [{ code: 'BB', name: 'Bed & Breakfast', adultRate: 0 }],
+    promotions: []
+});
+
+const stay = (fields) => ({ roomType: 'Beach Villa', board: 'BB', extras: [], adults: 2, childAges: [], roomCount: '', ...fields });
+
+const round = (value) => Math.round(value * 100) / 100;
+
+test('each night is priced at the season it falls in', () => {
+    const q = quoteStay(resort(), stay({ checkIn: '2026-04-28', checkOut: '2026-05-03' }));
+    assert.deepEqual(q.nightly.map(n => n.amount), [400, 400, 400, 200, 200]);
+    assert.equal(q.stay, 1600);
+    assert.deepEqual(q.issues, []);
+});
+
+test('nights outside every season use the headline price and are reported', () => {
+    const q = quoteStay(resort(), stay({ checkIn: '2026-10-31', checkOut: '2026-11-02' }));
+    assert.deepEqual(q.nightly.map(n => n.unmatched), [false, true]);
+    assert.equal(q.nightly[1].amount, 400);
+    assert.ok(q.issues.some(i => i.level === 'error' && i.field === 'checkIn'));
+});
+
+test('a zero-night stay prices nothing and is an error', () => {
+    const q = quoteStay(resort(), stay({ checkIn: '2026-05-10', checkOut: '2026-05-10' }));
+    assert.equal(q.nights, 0);
+    assert.equal(q.total, 0);
+    assert.deepEqual(q.issues.map(i => i.message), ['Check-out must be after check-in.']);
+});
+
+test('impossible calendar dates are rejected instead of rolling over', () => {
+    const q = quoteStay(resort(), stay({ checkIn: '2026-02-30', checkOut: '2026-03-02' }));
+    assert.equal(q.nights, 0);
+    assert.deepEqual(q.issues.map(i => [i.field, i.message]), [['checkIn', 'Check-in is not a valid date.']]);
+    assert.deepEqual(checkStay(resort(), stay({ checkIn: '2026-05-10', checkOut: '2026-05-11' }), { bookingDate: '2026-04-31' }).map(i => i.field), ['bookingDate']);
+});
+
+test('stays longer than MAX_NIGHTS are rejected without pricing every night', () => {
+    const q = quoteStay(resort(), stay({ checkIn: '0002-12-28', checkOut: '2026-05-10' }));
+    assert.equal(q.nights, 0);
+    assert.ok(q.issues.some(i => i.field === 'checkOut' && i.message.startsWith(`Stays are limited to ${engine.MAX_NIGHTS} nights`)));
+});
+
+test('the youngest child stays free and an older one pays its age band', () => {
+    const r = resort();
+    r.rooms[0].occupancy.childBands = [{ minAge: 0, maxAge: 5, rate: 0 }, { minAge: 6, maxAge: 8, rate: 40 }, { minAge: 9, maxAge: 11, rate: 60 }];
+    const q = quoteStay(r, stay({ checkIn: '2026-05-10', checkOut: '2026-05-11', childAges: [10, 7] }));
+    assert.equal(q.stay, 200 + 60);
+});
+
+test('children older than every band pay as extra adults', () => {
+    const q = quoteStay(resort(), stay({ checkIn: '2026-05-10', checkOut: '2026-05-11', childAges: [14] }));
+    assert.equal(q.stay, 200 + 150);
+});
+
+test('children stay free only when sharing with the full base occupancy', () => {
+    const q = quoteStay(resort(), stay({ checkIn: '2026-05-10', checkOut: '2026-05-11', adults: 1, childAges: [8] }));
+    assert.equal(q.stay, 200 + 60);
+});
+
+test('a party too big for one room is split across rooms', () => {
+    const q = quoteStay(resort(), stay({ checkIn: '2026-05-10', checkOut: '2026-05-11', adults: 4 }));
+    assert.equal(q.rooms.length, 2);
+    assert.equal(q.stay, 400);
+});
+
+test('stay-pay offers take the cheapest nights inside the offer dates', () => {
+    const r = { ...resort(), promotions: [{ name: 'Stay 4 Pay 3', type: 'stay_pay', stayNights: 4, payNights: 3 }] };
+    const q = quoteStay(r, stay({ checkIn: '2026-04-28', checkOut: '2026-05-03' }));
+    assert.deepEqual(q.promotions.applied, [{ name: 'Stay 4 Pay 3', amount: 200, detail: '1 free night(s)' }]);
+    assert.equal(q.net, 1400);
+});
+
+test('early-bird offers need a booking date far enough ahead', () => {
+    const r = { ...resort(), promotions: [{ name: 'Early Bird', type: 'early_bird', discountPercent: 20, minDaysBeforeArrival: 60 }] };
+    const request = stay({ checkIn: '2026-05-10', checkOut: '2026-05-11' });
+    assert.equal(quoteStay(r, request, { bookingDate: '2026-01-01' }).promotions.total, 40);
+    assert.equal(quoteStay(r, request, { bookingDate: '2026-04-20' }).promotions.total, 0);
+    assert.deepEqual(quoteStay(r, request, { bookingDate: '' }).promotions.rejected, [{ name: 'Early Bird', reason: 'booking date required' }]);
+});
+
+test('only offers the contract lets combine are applied together', () => {
+    const offers = Array.from({ length: 40 }, (_, i) => ({ name: `Offer ${i + 1}`, type: 'discount', discountPercent: 1 + (i % 10) }));
+    offers[3].combinableWith = ['Offer 10'];
+    const q = quoteStay({ ...resort(), promotions: offers }, stay({ checkIn: '2026-05-10', checkOut: '2026-05-11' }));
+    assert.deepEqual(q.promotions.applied.map(p => p.name), ['Offer 4', 'Offer 10']);
+    assert.equal(q.promotions.warning, null);
+    assert.equal(q.promotions.rejected.length, 38);
+    assert.ok(q.promotions.rejected.every(p => p.reason === 'not combinable with Offer 4 + Offer 10'));
+});
+
+test('32 or more combinable offers are capped instead of overflowing', () => {
+    const names = Array.from({ length: 32 }, (_, i) => `Offer ${i + 1}`);
+    const offers = names.map(name => ({ name, type: 'discount', discountPercent: 1, combinableWith: names }));
+    const q = quoteStay({ ...resort(), promotions: offers }, stay({ checkIn: '2026-05-10', checkOut: '2026-05-11' }));
+    assert.ok(q.promotions.total > 0);
+    assert.match(q.promotions.warning, new RegExp(`first ${engine.MAX_PROMOTION_SETS} offer combinations`));
+    assert.ok(q.promotions.rejected.every(p => p.reason === 'not compared (too many combinable offers)'));
+});
+
+test('checkStay flags markup outside the agency limits', () => {
+    const issues = checkStay(resort(), stay({ checkIn: '2026-05-10', checkOut: '2026-05-12' }), { markup: 80 });
+    assert.deepEqual(issues.map(i => i.field), ['markup']);
+});
+
+test('percentage charges are levied after markup on contract amounts', () => {
+    const r = {
+        ...resort(),
+        charges: [
+            { name: 'Service Charge', kind: 'service', basis: 'percent', amount: 10 },
+            { name: 'T-GST', kind: 'tax', basis: 'percent', amount: 16, base: ['stay', 'service'] },
+            { name: 'Green Tax', kind: 'tax', basis: 'per_person_per_night', amount: 6, exemptUnderAge: 2 }
+        ]
+    };
+    const q = quoteStay(r, stay({ checkIn: '2026-05-10', checkOut: '2026-05-12', childAges: [1] }), { markup: 10 });
+    assert.deepEqual(q.taxes.map(t => [t.name, round(t.amount)]), [['Service Charge', 40], ['T-GST', 70.4], ['Green Tax', 24]]);
+    assert.equal(round(q.total), round(400 * 1.1 + 134.4));
+});
+
+test('solvePricing reaches a target total by markup or by discount', () => {
+    const r = {
+        ...resort(),
+        charges: [
+            { name: 'Service Charge', kind: 'service', basis: 'percent', amount: 10 },
+            { name: 'T-GST', kind: 'tax', basis: 'percent', amount: 16, base: ['stay', 'service'] }
+        ]
+    };
+    const request = stay({ checkIn: '2026-05-10', checkOut: '2026-05-20' });
+    const parts = pricingParts(quoteStay(r, request, { markup: 10, discount: 5 }));
+
+    const byMarkup = solvePricing(parts, { kind: 'total', value: 2800, solveFor: 'markup' }, { markup: 10, discount: 5 });
+    assert.equal(byMarkup.error, null);
+    assert.equal(round(quoteStay(r, request, byMarkup).total), 2800);
+
+    const byDiscount = solvePricing(parts, { kind: 'total', value: 2500, solveFor: 'discount' }, { markup: 10, discount: 5 });
+    assert.equal(byDiscount.error, null);
+    assert.equal(round(quoteStay(r, request, byDiscount).total), 2500);
+    assert.equal(round(marginAt(parts, byDiscount.markup, byDiscount.discount).total), 2500);
+});
+
+test('solvePricing sets the markup for a target margin and enforces the limits', () => {
+    const parts = { discountable: 1000, fixed: 0, tax: 0 };
+    const solved = solvePricing(parts, { kind: 'margin', value: 20, solveFor: 'markup' });
+    assert.equal(solved.markup, 25);
+    assert.equal(marginAt(parts, solved.markup, 0).margin, 20);
+    assert.match(solvePricing(parts, { kind: 'total', value: 500, solveFor: 'discount' }).error, /Discount would need to be 50\.00%/);
+});